@@ -0,0 +1,23 @@
+import { checkOutput } from './src/conformance.js';
+
+// Checks an HLS output directory without running a job:
+//   node check.js <outputDir>
+// Prints the conformance report and exits with 1 when anything fails.
+function check() {
+    const outputDir = process.argv[2];
+    if (!outputDir) {
+        console.error('Usage: node check.js <outputDir>');
+        process.exit(2);
+    }
+
+    try {
+        const report = checkOutput(outputDir);
+        console.log(JSON.stringify(report, null, 2));
+        process.exit(report.valid ? 0 : 1);
+    } catch (error) {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    }
+}
+
+check();
@@ -1,548 +1,904 @@
-import { S3Client, GetObjectCommand, DeleteObjectCommand } from '@aws-sdk/client-s3';
-import { Upload } from '@aws-sdk/lib-storage';
-import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
-const { ffprobe } = ffmpeg; // Destructure ffprobe from the default import
 import {
   existsSync,
   mkdirSync,
-  createWriteStream,
-  writeFileSync,
   readdirSync,
   lstatSync,
   unlinkSync,
   rmdirSync,
-  readFileSync,
+  rmSync,
+  copyFileSync,
 } from 'fs';
 import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { createStorage, countFiles, uploadDirectory } from './src/storage.js';
+import { resolveLadder } from './src/ladder.js';
+import { resolvePerTitle, analyseLadder } from './src/pertitle.js';
+import { resolveEdit, renderEdit } from './src/edit.js';
+import { resolveAspect } from './src/aspect.js';
+import { resolveCodecs, expandCodecs } from './src/encoders.js';
+import {
+  resolveSegmentDuration,
+  generateHlsStream,
+  generateAudioRendition,
+  extractWebVtt,
+  generateHlsLadder,
+} from './src/encode.js';
+import { getAudioTracks, resolveAudioBitrate } from './src/audio.js';
+import { generateChunkedHls } from './src/chunked.js';
+import { writeDashManifest } from './src/dash.js';
+import { resolveEncryption, encryptOutput } from './src/encryption.js';
+import { resolveSubtitleSidecars, getSubtitleTracks, retimeWebVtt, segmentWebVtt } from './src/subtitles.js';
+import { resolveThumbnailOptions, generateThumbnails } from './src/thumbnails.js';
+import { writeIframePlaylist } from './src/iframes.js';
+import { formatFrameRate, measureRendition, resolveLowMaster, writeMasterPlaylists } from './src/master.js';
+import { createProgressReporter } from './src/progress.js';
+import { fileChecksum, fingerprintJob, loadCheckpoint } from './src/checkpoint.js';
+import { SourceRejectedError, inspectSource } from './src/probe.js';
+import { ConformanceError, assertConformance } from './src/conformance.js';
+import { JobCancelledError, isInterrupted, throwIfCancelled, asCancellation } from './src/cancel.js';
+import { resolveCdn, objectUrl, signUrl, signCookies } from './src/cdn.js';
+import {
+  createVersionId,
+  readPublishedState,
+  verifyVersion,
+  publishVersion,
+  snapshotEntryPoints,
+  restoreVersion,
+  removeAbandonedVersion,
+  removeStaleObjects,
+} from './src/publish.js';
+
+// Converts every subtitle track to WebVTT and segments it alongside the video
+// options.keepFullVtt also stores the whole file as <track>/subtitles.vtt for the DASH manifest
+// options.timeline moves the cues onto an edited copy of the source ({ start, end, offset })
+const generateSubtitleRenditions = async (inputPath, outputDir, tracks, duration, segmentDuration, inputStorage, { keepFullVtt = false, timeline = null } = {}) => {
+  const workDir = join(outputDir, '.subtitles');
+  mkdirSync(workDir, { recursive: true });
 
-const createS3Client = () => {
-  return new S3Client({ 
-    region: process.env.AWS_REGION,
-    maxAttempts: 5
-  });
+  try {
+    for (const track of tracks) {
+      const vttPath = join(workDir, `${track.name}.vtt`);
+      if (track.source.key) {
+        const extension = track.source.key.slice(track.source.key.lastIndexOf('.'));
+        const sidecarPath = join(workDir, `${track.name}.source${extension}`);
+        await inputStorage.getFile(track.source.key, sidecarPath);
+        await extractWebVtt(sidecarPath, vttPath);
+      } else {
+        await extractWebVtt(inputPath, vttPath, track.source.streamIndex);
+      }
+      if (timeline) {
+        retimeWebVtt(vttPath, timeline);
+      }
+      segmentWebVtt(vttPath, outputDir, track, duration, segmentDuration);
+      if (keepFullVtt) {
+        copyFileSync(vttPath, join(outputDir, track.name, 'subtitles.vtt'));
+      }
+    }
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
 };
-// Similarly update the download function to use a fresh client
-const downloadFile = (bucket, key, outputPath) => {
-  console.log(`Starting download from s3://${bucket}/${key} to ${outputPath}`);
-  return new Promise((resolve, reject) => {
-    // Create a fresh S3 client for this download operation
-    const freshS3Client = createS3Client();
-    
-    const params = { Bucket: bucket, Key: key };
-    const fileStream = createWriteStream(outputPath);
-
-    fileStream.on('error', err => {
-      console.error(`Error writing to file ${outputPath}: ${err.message}`);
-      reject(err);
-    });
 
-    freshS3Client.send(new GetObjectCommand(params))
-      .then(data => {
-        data.Body.pipe(fileStream)
-          .on('error', err => {
-            console.error(`Error downloading file from s3://${bucket}/${key}: ${err.message}`);
-            reject(err);
-          })
-          .on('close', () => {
-            console.log(`Successfully downloaded file to ${outputPath}`);
-            resolve();
-          });
-      })
-      .catch(err => {
-        console.error(`Error downloading file from s3://${bucket}/${key}: ${err.message}`);
-        reject(err);
-      });
-  });
+// Downloads the intro, outro and watermark of an edit into workDir; returns their local paths
+const downloadEditAssets = async (edit, workDir, inputStorage) => {
+  mkdirSync(workDir, { recursive: true });
+  const assets = {};
+  const keys = { intro: edit.intro, outro: edit.outro, watermark: edit.watermark && edit.watermark.key };
+  for (const [label, key] of Object.entries(keys).filter(([, key]) => key)) {
+    const extension = key.includes('.') ? key.slice(key.lastIndexOf('.')) : '';
+    assets[label] = join(workDir, `${label}${extension}`);
+    console.log(`Downloading ${label} ${inputStorage.locate(key)}`);
+    await inputStorage.getFile(key, assets[label]);
+  }
+  return assets;
 };
 
-const getVideoResolution = filePath => {
-  return new Promise((resolve, reject) => {
-    ffmpeg.ffprobe(filePath, (err, metadata) => {
-      if (err) {
-        console.error(`Error probing video file ${filePath}: ${err.message}`);
-        reject(err);
+const emptyDirectory = dirPath => {
+  if (existsSync(dirPath)) {
+    readdirSync(dirPath).forEach(file => {
+      const currentPath = join(dirPath, file);
+      if (lstatSync(currentPath).isDirectory()) {
+        emptyDirectory(currentPath);
+        rmdirSync(currentPath);
       } else {
-        const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-        if (videoStream) {
-          const resolution = {
-            width: videoStream.width,
-            height: videoStream.height,
-            displayAspectRatio: videoStream.display_aspect_ratio,
-            sampleAspectRatio: videoStream.sample_aspect_ratio,
-            rotation: videoStream.rotation || 0 // Default to 0 if no rotation data
-          };
-
-          if(resolution.rotation ==  90 || resolution.rotation == -90)
-          {
-            [resolution.width,resolution.height] = [resolution.height, resolution.width]
-          }
-          
-          console.log('Video metadata:', JSON.stringify(resolution, null, 2));
-          resolve({ width: resolution.width, height: resolution.height });
-        } else {
-          reject(new Error('No video stream found'));
-        }
+        unlinkSync(currentPath);
       }
     });
-  });
+    console.log(`Emptied directory: ${dirPath}`);
+  }
 };
 
+const extractPartsFromUrl = url => {
+  const regex = /https:\/\/[^/]+\/(.+\/InteractiveVideos\/([^/]+))_(mergedVideo_\d+\.mp4)/;
+  const match = url.match(regex);
+  if (match && match[1] && match[2] && match[3]) {
+    return {
+      baseKeyPrefix: match[1],
+      uuid: match[2],
+      inputKey: `${match[1]}_${match[3]}`,
+    };
+  } else {
+    throw new Error('URL parts not found');
+  }
+};
 
-const generateHlsStream = (inputFilePath, outputDir, width, height, bitrate, name, rotation = 0) => {
-  return new Promise((resolve, reject) => {
-    const streamOutputDir = join(outputDir, name);
-    const outputM3u8Path = join(streamOutputDir, 'index.m3u8');
-
-    mkdirSync(streamOutputDir, { recursive: true });
+// Output and checkpoints are written under the source key; notifications for
+// them must not start new jobs
+const isJobOutput = key => key.includes('/hls/') || key.endsWith('/checkpoint.json');
 
-    console.log(`Generating HLS stream for resolution ${width}x${height} at ${streamOutputDir}`);
+// S3 notifications URL-encode keys, with spaces as '+'
+const decodeS3Key = key => decodeURIComponent(key.replace(/\+/g, ' '));
 
-    // Adjust CRF values (slightly higher for faster encoding)
-    const crf = name.includes('low') ? 18 : name.includes('lower') ? 23 : name.includes('super_low') ? 25 : 23;
+// One S3 event notification record: the object's own bucket replaces the configured one
+const recordItem = (record, shared) => {
+  const bucket = record.s3 && record.s3.bucket && record.s3.bucket.name;
+  const key = record.s3 && record.s3.object && record.s3.object.key;
+  if (!bucket || !key) {
+    throw new Error('Record is not an S3 event notification');
+  }
+  const s3Key = decodeS3Key(key);
+  const source = `s3://${bucket}/${s3Key}`;
+  if (record.eventName && !record.eventName.startsWith('ObjectCreated:')) {
+    return { source, skipped: `${record.eventName} notifications are ignored` };
+  }
+  if (isJobOutput(s3Key)) {
+    return { source, skipped: 'Object is the output of a job' };
+  }
+  const storage = { ...shared.storage, type: 's3', bucket };
+  if (record.awsRegion) {
+    storage.region = record.awsRegion;
+  }
+  return { source, event: { ...shared, s3Key, storage } };
+};
 
-    // Use a faster preset
-    const preset = name.includes('low') ? 'medium' : 'veryfast';  // Can change to 'fast' or 'medium' for better quality
+// An InteractiveVideos CloudFront URL; its uuid identifies the asset
+const urlItem = (url, shared) => {
+  const { inputKey, uuid } = extractPartsFromUrl(url);
+  return { source: url, event: { ...shared, s3Key: inputKey, assetId: shared.assetId ?? uuid } };
+};
 
-    // Adjust GOP size (4 seconds at 30fps)
-    const gopSize = 4 * 30;
+// An unusable entry fails on its own: a 400 response, or its own entry in a batch
+const tryItem = (source, expand) => {
+  try {
+    return expand();
+  } catch (error) {
+    return { source, error: error.message };
+  }
+};
 
-    // Adjust audio bitrates
-    const audioBitrate = name.includes('low') ? '96k' : name.includes('lower') ? '64k' : '48k';
+/**
+ * Expands an incoming event into the jobs it asks for:
+ *   { s3Key }               one job
+ *   { url }                 one job for an InteractiveVideos CloudFront URL
+ *   { Records: [...] }      S3 event notifications, one job per created object
+ *   { s3Keys, urls }        a batch of keys and URLs
+ * Other event fields are settings shared by every job. Returns { batch, items }
+ * where each item is { source, event }, { source, skipped } or { source, error }.
+ */
+export const expandEvent = event => {
+  const { Records, s3Keys, urls, url, ...shared } = event;
+  if (!Records && !s3Keys && !urls) {
+    const item = url && !event.s3Key ? tryItem(url, () => urlItem(url, shared)) : { source: event.s3Key, event };
+    return { batch: false, items: [item] };
+  }
 
-    // Adjust video bitrates
-    const videoBitrate = Math.round(bitrate * 1);
-    const maxBitrate = Math.round(videoBitrate * 1.5);
-    const bufferSize = `${maxBitrate * 2}k`;
+  const items = [
+    ...(Records || []).map((record, index) => tryItem(`record ${index + 1}`, () => recordItem(record, shared))),
+    ...(s3Keys || []).map(s3Key => ({ source: s3Key, event: { ...shared, s3Key } })),
+    ...(urls || []).map(itemUrl => tryItem(itemUrl, () => urlItem(itemUrl, shared))),
+  ];
+  if (shared.jobId) {
+    items.filter(item => item.event).forEach((item, index) => { item.event.jobId = `${shared.jobId}-${index + 1}`; });
+  }
+  return { batch: true, items };
+};
 
-    // Force 16:9 aspect ratio with letterboxing or pillarboxing
-    // For videos that are already in portrait mode (e.g., mobile videos)
-    // Calculate for 16:9 without reducing dimensions
-    let aspectRatioFilter;
-    
-    // First, determine the proper output dimensions to maintain 16:9
-    // We need to ensure the output resolution isn't smaller than input in either dimension
-    const isPortrait = height > width;
-    
-    let targetWidth, targetHeight;
-    
-    if (isPortrait) {
-      // For portrait videos, keep the height and calculate width for 16:9
-      targetHeight = height;
-      targetWidth = Math.round((height * 16) / 9);
+/**
+ * Downloads, probes, encodes and packages the source into outputDir. Renditions
+ * recorded as finished in the checkpoint are not encoded again. Returns what
+ * the job result needs from packaging: { source, edit, ladder, thumbnailFiles, iframes, encryptionSummary }.
+ * With edits, every rendition is encoded from the edited copy at editedPath.
+ */
+const encodeAndPackage = async (event, job) => {
+  const {
+    s3Key,
+    inputPath,
+    editedPath,
+    chunksDir,
+    outputDir,
+    inputStorage,
+    encodingMode,
+    outputDash,
+    encryption,
+    thumbnails,
+    outputIframes,
+    aspect,
+    segmentDuration,
+    codecs,
+    lowMaster,
+    perTitle,
+    edit,
+    sidecars,
+    progress,
+    checkpoint,
+  } = job;
+
+  console.log('Creating output directory');
+  mkdirSync(outputDir, { recursive: true });
+  // Work directories of an interrupted run (.subtitles, .analysis) must never be published
+  readdirSync(outputDir)
+    .filter(file => file.startsWith('.'))
+    .forEach(file => rmSync(join(outputDir, file), { recursive: true, force: true }));
+
+  progress.startStage('download');
+  if (checkpoint.state.downloaded && existsSync(inputPath)) {
+    console.log(`Reusing downloaded source at ${inputPath}`);
+  } else {
+    console.log(`Downloading ${inputStorage.locate(s3Key)}`);
+    await inputStorage.getFile(s3Key, inputPath);
+    checkpoint.state.downloaded = true;
+    await checkpoint.save();
+  }
+  progress.endStage('download');
+
+  progress.startStage('probe');
+  console.log('Analysing source');
+  const inspected = await inspectSource(inputPath, event.validation);
+  const { report } = inspected;
+  let { metadata } = inspected;
+  const sourceStreams = metadata.streams;
+  metadata.audioTracks = getAudioTracks(metadata.streams, event.audio);
+
+  console.log(`Original video resolution: ${metadata.width}x${metadata.height}, rotation: ${metadata.rotation}`);
+  progress.endStage('probe');
+
+  progress.startStage('edit');
+  let sourcePath = inputPath;
+  let editSummary;
+  if (edit) {
+    if (checkpoint.state.edited && existsSync(editedPath)) {
+      console.log(`Reusing edited source at ${editedPath}`);
     } else {
-      // For landscape videos, keep the width and calculate height for 16:9
-      targetWidth = width;
-      targetHeight = Math.round((width * 9) / 16);
+      const workDir = join(outputDir, '.edit');
+      try {
+        const assets = await downloadEditAssets(edit, workDir, inputStorage);
+        checkpoint.state.edited = await renderEdit(inputPath, editedPath, metadata, edit, assets,
+          percent => progress.update('edit', null, percent));
+      } finally {
+        rmSync(workDir, { recursive: true, force: true });
+      }
+      await checkpoint.save();
     }
-    
-    // Ensure dimensions are even
-    targetWidth = targetWidth % 2 === 0 ? targetWidth : targetWidth + 1;
-    targetHeight = targetHeight % 2 === 0 ? targetHeight : targetHeight + 1;
-    
-    console.log(`Calculated 16:9 dimensions: ${targetWidth}x${targetHeight} for input ${width}x${height}`);
-    
-    // Now create the filter based on rotation
-    if (rotation === 90 || rotation === -90 || rotation === 270) {
-      // For rotated videos, first transpose then apply the aspect ratio
-      const transposeMode = (rotation === 90 || rotation === -270) ? 1 : 2; // 1 = 90°, 2 = 270°
-      aspectRatioFilter = `transpose=${transposeMode},scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1`;
-    } else if (rotation === 180) {
-      // For 180° rotation
-      aspectRatioFilter = `hflip,vflip,scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1`;
+    editSummary = checkpoint.state.edited;
+    sourcePath = editedPath;
+    // Renditions, thumbnails and playlists follow the edited duration
+    ({ metadata } = await inspectSource(editedPath, { ...event.validation, checkTruncation: false }));
+    metadata.audioTracks = getAudioTracks(metadata.streams, event.audio);
+    console.log(`Edited source: ${metadata.width}x${metadata.height}, ${metadata.duration}s`);
+  }
+  progress.endStage('edit');
+
+  progress.startStage('analyse');
+  let rungs = resolveLadder(event.ladder, metadata, aspect, segmentDuration);
+  let analysis;
+  if (perTitle) {
+    // The ladder chosen by an earlier run is kept, so finished renditions still match it
+    if (!checkpoint.state.perTitle) {
+      checkpoint.state.perTitle = await analyseLadder(sourcePath, join(outputDir, '.analysis'), rungs, metadata, perTitle,
+        percent => progress.update('analyse', null, percent));
+      await checkpoint.save();
     } else {
-      // For normal videos (no rotation)
-      aspectRatioFilter = `scale=${width}:${height}:force_original_aspect_ratio=decrease,pad=${targetWidth}:${targetHeight}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1`;
+      console.log('Reusing the per-title ladder of a previous run');
     }
+    ({ rungs, analysis } = checkpoint.state.perTitle);
+  }
+  progress.endStage('analyse');
 
-    const outputOptions = [
-      `-vf ${aspectRatioFilter}`,
-      `-c:v libx264`,
-      `-crf ${crf}`,
-      `-preset ${preset}`,
-      `-g ${gopSize}`,
-      `-keyint_min ${Math.round(gopSize / 2)}`,
-      `-sc_threshold 0`,
-      `-b:v ${videoBitrate}k`,
-      `-maxrate ${maxBitrate}k`,
-      `-bufsize ${bufferSize}`,
-      '-c:a aac',
-      `-b:a ${audioBitrate}`,
-      '-ac 2',
-      '-ar 44100',
-      '-movflags +faststart',
-      '-f hls',
-      '-hls_time 4',
-      '-hls_list_size 0',
-      '-hls_segment_type fmp4',
-      '-hls_playlist_type vod',
-      '-hls_flags independent_segments',
-      '-pix_fmt yuv420p',
-      `-hls_segment_filename`, `${streamOutputDir}/segment_%03d.m4s`
-    ];
-
-    // Optimized x264 params for faster encoding
-    const x264Params = [
-      'no-fast-pskip=1',
-      'no-dct-decimate=1',
-      'aq-mode=1',
-      'aq-strength=0.8',
-      'psy-rd=1.0',
-      'deblock=1:1',
-      'me=hex',
-      'subme=7',
-      'trellis=2',
-      'ref=3',
-      'b-adapt=2',
-      'bframes=3',
-    ].join(':');
-
-    outputOptions.push('-x264-params', x264Params);
-
-    if (name.includes('lower') || name.includes('super_low')) {
-      outputOptions.push('-r', '24'); // Reduce framerate for very low qualities
-    }
+  console.log('Generating HLS streams');
+  const resolutions = expandCodecs(rungs, codecs);
+  console.log(`Encoding ladder: ${resolutions.map(res => `${res.name} ${res.width}x${res.height}@${res.bitrate}k ${formatFrameRate(res.frameRate) || '?'}fps`).join(', ')}, ${segmentDuration}s segments`);
 
-    ffmpeg(inputFilePath)
-      .outputOptions(outputOptions)
-      .output(outputM3u8Path)
-      .on('start', (commandLine) => {
-        console.log('Spawned FFmpeg with command:', commandLine);
-      })
-      .on('progress', (progress) => {
-        console.log(`Processing: ${progress.percent}% done`);
-      })
-      .on('end', () => {
-        console.log(`HLS stream generation complete for resolution ${targetWidth}x${targetHeight} at ${streamOutputDir}`);
-        resolve();
-      })
-      .on('error', (err, stdout, stderr) => {
-        console.error(`Error generating HLS stream for resolution ${targetWidth}x${targetHeight}: ${err.message}`);
-        console.error('ffmpeg stdout:', stdout);
-        console.error('ffmpeg stderr:', stderr);
-        reject(err);
-      })
-      .run();
-  });
-};
-const calculateTargetDimensions = (width, height) => {
-  // Determine if the video is in portrait or landscape mode
-  const isPortrait = height > width;
-  
-  let targetWidth, targetHeight;
-  
-  if (isPortrait) {
-    // For portrait videos, keep the height and calculate width for 16:9
-    targetHeight = height;
-    targetWidth = Math.round((height * 16) / 9);
+  const audio = {
+    tracks: metadata.audioTracks,
+    bitrate: resolveAudioBitrate(resolutions, event.audio && event.audio.bitrate),
+  };
+  if (audio.tracks.length === 0) {
+    console.log('Source has no audio, producing video-only variants');
   } else {
-    // For landscape videos, keep the width and calculate height for 16:9
-    targetWidth = width;
-    targetHeight = Math.round((width * 9) / 16);
-  }
-  
-  // Ensure dimensions are even
-  targetWidth = targetWidth % 2 === 0 ? targetWidth : targetWidth + 1;
-  targetHeight = targetHeight % 2 === 0 ? targetHeight : targetHeight + 1;
-  
-  return { width: targetWidth, height: targetHeight };
-};
+    console.log(`Audio renditions at ${audio.bitrate}: ${audio.tracks.map(track => `${track.name}${track.default ? ' (default)' : ''}`).join(', ')}`);
+  }
 
-const appendToMasterM3u8 = async (newResolutions, outputDir) => {
-  const masterPlaylistPath = join(outputDir, 'master.m3u8');
-  let masterContent = ['#EXTM3U', '#EXT-X-VERSION:4'];
-
-  newResolutions.forEach(res => {
-    // Calculate 16:9 dimensions for the playlist
-    const targetDims = calculateTargetDimensions(res.width, res.height);
-    
-    const resolutionLine = `#EXT-X-STREAM-INF:BANDWIDTH=${res.bitrate * 1000},RESOLUTION=${targetDims.width}x${targetDims.height}`;
-    masterContent.push(resolutionLine);
-    masterContent.push(`${res.name}/index.m3u8`);
-    console.log(`Added resolution ${targetDims.width}x${targetDims.height} to master playlist`);
-  });
+  // Renditions finished by an earlier run are kept; partial output of the others is dropped
+  const isFinished = name => checkpoint.isRenditionDone(name) && existsSync(join(outputDir, name, 'index.m3u8'));
+  const pendingRungs = resolutions.filter(res => !isFinished(res.name));
+  const pendingAudio = audio.tracks.filter(track => !isFinished(track.name));
+  const skipped = resolutions.length + audio.tracks.length - pendingRungs.length - pendingAudio.length;
+  if (skipped > 0) {
+    console.log(`Skipping ${skipped} renditions finished by a previous run`);
+  }
+  [...pendingRungs, ...pendingAudio].forEach(rendition => rmSync(join(outputDir, rendition.name), { recursive: true, force: true }));
+  const finish = name => checkpoint.markRendition(name);
+
+  progress.startStage('encode', [...pendingRungs.map(res => res.name), ...pendingAudio.map(track => track.name)]);
+  const reportEncode = name => percent => progress.update('encode', name, percent);
+
+  if (pendingRungs.length + pendingAudio.length === 0) {
+    console.log('Every rendition is already encoded');
+  } else if (encodingMode === 'single-decode') {
+    // One ffmpeg run decodes once and writes every video and audio rendition
+    await generateHlsLadder(sourcePath, outputDir, pendingRungs, {
+      rotation: metadata.rotation,
+      audioTracks: pendingAudio,
+      audioBitrate: audio.bitrate,
+      segmentDuration,
+      // One ffmpeg process reports for the whole ladder
+      onProgress: reportEncode(null),
+    });
+    for (const rendition of [...pendingRungs, ...pendingAudio]) {
+      await finish(rendition.name);
+    }
+  } else if (encodingMode === 'chunked') {
+    // Independent time chunks encoded in parallel and stitched per rendition
+    const chunking = event.chunking || {};
+    if (pendingRungs.length > 0) {
+      // Finished chunks survive a failed run and are reused by the next one
+      checkpoint.state.chunks = checkpoint.state.chunks || {};
+      await generateChunkedHls(sourcePath, outputDir, pendingRungs, {
+        duration: metadata.duration,
+        rotation: metadata.rotation,
+        chunkDuration: chunking.duration,
+        segmentDuration,
+        workers: chunking.workers,
+        retries: chunking.retries,
+        workDir: chunksDir,
+        isChunkDone: (name, chunk) => Boolean(checkpoint.state.chunks[`${name}/${chunk}`]),
+        onChunkDone: (name, chunk) => {
+          checkpoint.state.chunks[`${name}/${chunk}`] = { finishedAt: new Date().toISOString() };
+          return checkpoint.save();
+        },
+        onProgress: (name, percent) => progress.update('encode', name, percent),
+      });
+      checkpoint.state.chunks = {};
+      for (const res of pendingRungs) {
+        await finish(res.name);
+      }
+    }
+    // Audio is cheap to encode and is not chunked, avoiding AAC priming gaps at chunk joins
+    await Promise.all(pendingAudio.map(track =>
+      generateAudioRendition(sourcePath, outputDir, track, audio.bitrate, reportEncode(track.name), segmentDuration)
+        .then(() => finish(track.name))
+    ));
+  } else {
+    // Pass the rotation information to generateHlsStream
+    await Promise.all([
+      ...pendingRungs.map(res => generateHlsStream(sourcePath, outputDir, res, metadata.rotation, {}, reportEncode(res.name))
+        .then(() => finish(res.name))),
+      ...pendingAudio.map(track => generateAudioRendition(sourcePath, outputDir, track, audio.bitrate, reportEncode(track.name), segmentDuration)
+        .then(() => finish(track.name))),
+    ]);
+  }
+  progress.endStage('encode');
 
-  writeFileSync(masterPlaylistPath, masterContent.join('\n'));
-  console.log(`Master playlist created at ${masterPlaylistPath}`);
-};
+  progress.startStage('package');
 
-const appendToLowMasterM3u8 = async (resolutions, outputDir) => {
-  const lowMasterPlaylistPath = join(outputDir, 'low_master.m3u8');
-  let masterContent = ['#EXTM3U', '#EXT-X-VERSION:4'];
-
-  resolutions
-    .filter(res => res.name === 'lower' || res.name === 'super_low')
-    .forEach(res => {
-      // Calculate 16:9 dimensions for the playlist
-      const targetDims = calculateTargetDimensions(res.width, res.height);
-      
-      const resolutionLine = `#EXT-X-STREAM-INF:BANDWIDTH=${res.bitrate * 1000},RESOLUTION=${targetDims.width}x${targetDims.height}`;
-      masterContent.push(resolutionLine);
-      masterContent.push(`${res.name}/index.m3u8`);
-      console.log(`Added resolution ${targetDims.width}x${targetDims.height} to low master playlist`);
+  // Subtitles always come from the original source, retimed when it was edited
+  const subtitles = getSubtitleTracks(sourceStreams, sidecars);
+  if (subtitles.length > 0) {
+    console.log(`Generating subtitle renditions: ${subtitles.map(track => track.name).join(', ')}`);
+    await generateSubtitleRenditions(inputPath, outputDir, subtitles, metadata.duration, segmentDuration, inputStorage, {
+      keepFullVtt: outputDash,
+      timeline: editSummary && { start: editSummary.in, end: editSummary.out, offset: editSummary.offset },
     });
+  }
 
-  writeFileSync(lowMasterPlaylistPath, masterContent.join('\n'));
-  console.log(`Low master playlist created at ${lowMasterPlaylistPath}`);
-};
+  let thumbnailFiles;
+  if (thumbnails) {
+    console.log('Generating poster and thumbnail sprites');
+    thumbnailFiles = await generateThumbnails(sourcePath, outputDir, metadata, thumbnails);
+  }
 
-const emptyDirectory = dirPath => {
-  if (existsSync(dirPath)) {
-    readdirSync(dirPath).forEach(file => {
-      const currentPath = join(dirPath, file);
-      if (lstatSync(currentPath).isDirectory()) {
-        emptyDirectory(currentPath);
-        rmdirSync(currentPath);
-      } else {
-        unlinkSync(currentPath);
-      }
+  const iframes = {};
+  if (outputIframes) {
+    console.log('Generating I-frame playlists');
+    resolutions.forEach(res => {
+      iframes[res.name] = writeIframePlaylist(outputDir, res.name);
     });
-    console.log(`Emptied directory: ${dirPath}`);
   }
-};
 
-const uploadSingleFile = async (bucket, key, filePath) => {
-  const freshS3Client = createS3Client();
-  const fileContent = readFileSync(filePath);
-  
-  try {
-    const upload = new Upload({
-      client: freshS3Client,
-      params: {
-        Bucket: bucket,
-        Key: key,
-        Body: fileContent,
-      },
+  console.log('Generating master playlists');
+  const variants = writeMasterPlaylists(outputDir, resolutions, { audio, subtitles, iframes }, lowMaster);
+
+  if (outputDash) {
+    console.log('Generating DASH manifest');
+    writeDashManifest(outputDir, {
+      video: variants.map(variant => ({
+        name: variant.name,
+        width: variant.rung.width,
+        height: variant.rung.height,
+        bandwidth: variant.peakBandwidth,
+        codec: variant.rung.codec,
+      })),
+      audio: audio.tracks.map(track => ({
+        name: track.name,
+        language: track.language,
+        bandwidth: measureRendition(outputDir, track.name).peakBandwidth,
+      })),
+      subtitles,
     });
-    
-    await upload.done();
-    console.log(`Uploaded ${filePath} to s3://${bucket}/${key}`);
-  } catch (error) {
-    console.error(`Error uploading ${filePath} to ${bucket}/${key}: ${error.message}`);
-    throw error;
   }
+
+  let encryptionSummary;
+  if (encryption) {
+    checkpoint.state.encryptionStarted = true;
+    await checkpoint.save();
+    console.log(`Encrypting renditions with ${encryption.method}`);
+    encryptionSummary = await encryptOutput(
+      outputDir,
+      [...resolutions.map(res => res.name), ...audio.tracks.map(track => track.name)],
+      encryption,
+      event.assetId || s3Key,
+    );
+  }
+
+  progress.endStage('package');
+
+  console.log('Deleting input file');
+  unlinkSync(inputPath);
+  rmSync(editedPath, { force: true });
+
+  const ladder = {
+    perTitle: Boolean(perTitle),
+    rungs: resolutions.map(res => ({
+      name: res.name,
+      codec: res.codec,
+      width: res.width,
+      height: res.height,
+      bitrate: res.bitrate,
+      maxBitrate: res.maxBitrate,
+      frameRate: res.frameRate,
+    })),
+    analysis,
+  };
+
+  return { source: report, edit: editSummary, ladder, thumbnailFiles, iframes, encryptionSummary };
 };
 
-// Update uploadToS3 to use very small batches to prevent socket exhaustion
-const uploadToS3 = async (bucket, key, filePath) => {
-  const freshS3Client = createS3Client();
-  
-  if (lstatSync(filePath).isDirectory()) {
-    const files = readdirSync(filePath);
-    
-    // Process directories and m3u8 files first (they're small and critical)
-    const directories = files.filter(file => lstatSync(join(filePath, file)).isDirectory());
-    const playlists = files.filter(file => file.endsWith('.m3u8'));
-    const segments = files.filter(file => !directories.includes(file) && !playlists.includes(file));
-    
-    console.log(`Uploading directory ${filePath} with ${directories.length} subdirs, ${playlists.length} playlists, and ${segments.length} segments`);
-    
-    // First upload directories (recursive calls)
-    for (const dir of directories) {
-      const fullPath = join(filePath, dir);
-      const dirKey = `${key}/${dir}`;
-      await uploadToS3(bucket, dirKey, fullPath);
-    }
-    
-    // Then upload playlist files
-    for (const playlist of playlists) {
-      const fullPath = join(filePath, playlist);
-      const fileKey = `${key}/${playlist}`;
-      await uploadSingleFile(bucket, fileKey, fullPath);
-    }
-    
-    // Then upload segments in very small batches to prevent socket exhaustion
-    const BATCH_SIZE = 40; // Use only 10 connections at a time
-    for (let i = 0; i < segments.length; i += BATCH_SIZE) {
-      const batch = segments.slice(i, i + BATCH_SIZE);
-      console.log(`Uploading segment batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(segments.length/BATCH_SIZE)}`);
-      
-      // Process this batch concurrently
-      await Promise.all(batch.map(file => {
-        const fullPath = join(filePath, file);
-        const fileKey = `${key}/${file}`;
-        return uploadSingleFile(bucket, fileKey, fullPath);
-      }));
-    }
-  } else {
-    await uploadSingleFile(bucket, key, filePath);
+// Response body of a failed job: rejected sources and non-conforming output carry their codes and report
+const errorBody = error => {
+  if (error instanceof SourceRejectedError) {
+    return { message: 'Source rejected', code: error.code, errors: error.errors, report: error.report, error: error.message };
+  }
+  if (error instanceof ConformanceError) {
+    return { message: 'Output failed conformance checks', code: error.code, errors: error.errors, report: error.report, error: error.message };
   }
+  if (error instanceof JobCancelledError) {
+    return { message: 'Job cancelled', code: error.code, error: error.message };
+  }
+  return { message: 'Error processing video', code: 'PROCESSING_FAILED', error: error.message, stack: error.stack };
 };
 
-const deleteFromS3 = async (bucket, key) => {
-  const freshS3Client = createS3Client();
-  const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
-  await freshS3Client.send(command);
-  console.log(`Deleted s3://${bucket}/${key}`);
+// Signs a job result for private distributions: signed URLs for the thumbnails,
+// which are fetched one object at a time, and cookies for the streams. Results are
+// recorded and reported unsigned (status.json may be public), so every response,
+// including the recorded result of a completed job, carries fresh signatures.
+const signResult = (result, cdn, cookieResource) => {
+  const sign = url => (url ? signUrl(cdn, url) : url);
+  return {
+    ...result,
+    thumbnails: result.thumbnails && {
+      poster: sign(result.thumbnails.poster),
+      sprites: result.thumbnails.sprites.map(sign),
+      vtt: sign(result.thumbnails.vtt),
+    },
+    cdnCookies: signCookies(cdn, cookieResource) || undefined,
+  };
 };
 
-const extractPartsFromUrl = url => {
-  const regex = /https:\/\/[^/]+\/(.+\/InteractiveVideos\/([^/]+))_(mergedVideo_\d+\.mp4)/;
-  const match = url.match(regex);
-  if (match && match[1] && match[2] && match[3]) {
-    return {
-      baseKeyPrefix: match[1],
-      uuid: match[2],
-      inputKey: `${match[1]}_${match[3]}`,
-    };
-  } else {
-    throw new Error('URL parts not found');
+const statusCodeOf = error => {
+  if (error instanceof SourceRejectedError) return 422;
+  // 499: the client (the job server) closed the request
+  if (error instanceof JobCancelledError) return 499;
+  return 500;
+};
+
+// Undoes what a failed run changed in the output storage: entry points go back
+// to the previous version. Objects uploaded into the unpublished version stay,
+// so the next run with the same checkpoint skips them.
+const rollbackPublication = async (storage, prefix, publication) => {
+  if (publication.publishing && !publication.published) {
+    await restoreVersion(storage, prefix, publication.previous, publication.entryPoints)
+      .catch(error => console.warn(`Could not restore the previous version: ${error.message}`));
   }
 };
-const getAdjustedResolutions = (originalWidth, originalHeight) => {
-  const isPortrait = originalHeight > originalWidth;
-  const aspectRatio = originalWidth / originalHeight;
-  const isHD = isPortrait ? originalWidth >= 720 : originalHeight >= 720;
 
-  const scaleResolution = (scale) => {
-    let newWidth = Math.round(originalWidth * scale);
-    let newHeight = Math.round(newWidth / aspectRatio);
+const processVideo = async (event, options = {}) => {
+  const { s3Key } = event;
 
-    // Ensure even dimensions
-    newWidth = newWidth % 2 === 0 ? newWidth : newWidth - 1;
-    newHeight = newHeight % 2 === 0 ? newHeight : newHeight - 1;
+  if (!s3Key) {
+    throw new Error('s3Key not provided');
+  }
 
-    return { width: newWidth, height: newHeight };
-  };
+  const encodingMode = event.encodingMode || process.env.ENCODING_MODE || 'per-rendition';
+  if (!['per-rendition', 'single-decode', 'chunked'].includes(encodingMode)) {
+    throw new Error(`Unknown encoding mode: ${encodingMode}`);
+  }
 
+  const outputDash = event.dash ?? process.env.OUTPUT_DASH === 'true';
+  const encryption = resolveEncryption(event.encryption);
+  if (encryption && outputDash) {
+    throw new Error('DASH output cannot be combined with encryption');
+  }
 
+  const aspect = resolveAspect(event.aspect);
+  const segmentDuration = resolveSegmentDuration(event.segmentDuration);
+  const lowMaster = resolveLowMaster(event.lowMaster);
+  const codecs = resolveCodecs(event.codecs);
+  const perTitle = resolvePerTitle(event.perTitle);
+  const edit = resolveEdit(event.edit);
+  const sidecars = resolveSubtitleSidecars(event.subtitles);
+  if (encryption && encryption.method === 'SAMPLE-AES' && codecs.includes('av1')) {
+    // cbcs protection here works on NAL units, which AV1 does not have
+    throw new Error('SAMPLE-AES encryption cannot be combined with AV1 output');
+  }
+  const thumbnails = resolveThumbnailOptions(event.thumbnails);
+  const cdn = resolveCdn(event.cdn);
+  // Byte ranges into encrypted segments are not usable, so trick-play is dropped with encryption
+  let outputIframes = event.iframes ?? process.env.OUTPUT_IFRAMES !== 'false';
+  if (outputIframes && encryption) {
+    console.warn('I-frame playlists are not generated for encrypted output');
+    outputIframes = false;
+  }
 
-  const calculateBitrate = (width, height, quality) => {
-    const pixels = width * height;
-    let bitrate;
-
-    switch (quality) {
-      case 'low':
-        bitrate = Math.max(4000, Math.min(10000, pixels / 300));
-        break;
-      case 'mid':
-        bitrate = Math.max(2000, Math.min(6000, pixels / 600));
-        break;
-      case 'lower':
-        bitrate = Math.max(1000, Math.min(3000, pixels / 1600));
-        break;
-      case 'high':
-        bitrate = Math.max(200, Math.min(1500, pixels / 1800));
-        break;
-      default:
-        bitrate = Math.max(100, Math.min(800, pixels / 2400));
-        break;
+  // Source and output may live on different backends; output defaults to the input storage
+  const inputStorage = createStorage(event.storage);
+  const outputStorage = event.outputStorage ? createStorage(event.outputStorage) : inputStorage;
+  const s3OutputPrefix = `${s3Key}/hls`;
+  const outputUrl = file => objectUrl(cdn, outputStorage, `${s3OutputPrefix}/${file}`);
+
+  const progress = createProgressReporter({
+    jobId: event.jobId || randomUUID(),
+    progress: event.progress,
+    callback: event.callback,
+    storage: outputStorage,
+    statusKey: `${s3OutputPrefix}/status.json`,
+    listener: options.onProgress,
+  });
+
+  console.log('Starting video processing');
+  // The source and output locations are part of the job: the same s3Key in another
+  // bucket must not resume this one's download and renditions
+  const fingerprint = fingerprintJob({
+    s3Key,
+    source: inputStorage.locate(s3Key),
+    output: outputStorage.locate(s3OutputPrefix),
+    encodingMode,
+    outputDash,
+    outputIframes,
+    thumbnails,
+    aspect,
+    segmentDuration,
+    codecs,
+    av1Encoder: codecs.includes('av1') ? process.env.AV1_ENCODER || 'libsvtav1' : null,
+    lowMaster: event.lowMaster ?? process.env.LOW_MASTER,
+    perTitle,
+    edit,
+    encryption: encryption && { method: encryption.method, rotateEvery: encryption.rotateEvery, keyUri: encryption.keyUri },
+    ladder: event.ladder,
+    audio: event.audio,
+    subtitles: event.subtitles,
+    chunking: event.chunking,
+    assetId: event.assetId,
+  });
+  // Work files survive a failed run so the next run of the same job can resume from them.
+  // The directory follows the job's locations and settings, so jobs that differ never share it
+  const jobDir = join(process.env.WORK_DIR || '/tmp', 'jobs', fingerprint.slice(0, 16));
+  const outputDir = join(jobDir, 'output');
+  const inputPath = join(jobDir, 'input.mp4');
+  const editedPath = join(jobDir, 'edited.mp4');
+  const chunksDir = join(jobDir, 'chunks');
+
+  const keepVersions = (event.publish && event.publish.keepVersions) ?? parseInt(process.env.PUBLISH_KEEP_VERSIONS || '0', 10);
+  // What this run changed in the output storage, so a failure can be rolled back
+  const publication = { previous: null, entryPoints: null, publishing: false, published: false };
+
+  let checkpoint = null;
+  try {
+    checkpoint = await loadCheckpoint({
+      storage: outputStorage,
+      key: `${s3Key}/checkpoint.json`,
+      localPath: join(jobDir, 'checkpoint.json'),
+      fingerprint,
+      force: event.force === true,
+    });
+    if (checkpoint.abandoned) {
+      // Nothing resumes the version the discarded checkpoint was uploading
+      await removeAbandonedVersion(outputStorage, s3OutputPrefix, checkpoint.abandoned)
+        .catch(cleanupError => console.warn(`Could not remove an abandoned version: ${cleanupError.message}`));
+    }
+    if (!checkpoint.resumed) {
+      // Leftovers of a forced, failed or differently configured run must not be reused or published
+      emptyDirectory(jobDir);
     }
 
+    if (checkpoint.state.result) {
+      console.log('Job already completed, returning the recorded result');
+      progress.complete(checkpoint.state.result);
+      return { statusCode: 200, body: JSON.stringify(signResult(checkpoint.state.result, cdn, outputUrl('*'))) };
+    }
 
-    return Math.round(bitrate);
-  };
+    let packaged = checkpoint.state.packaged;
+    if (packaged && existsSync(join(outputDir, 'master.m3u8'))) {
+      console.log('Output was packaged by a previous run, resuming the upload');
+    } else {
+      if (packaged) {
+        // The packaged output is gone (e.g. a new machine): renditions must be encoded again
+        checkpoint.state.renditions = {};
+        checkpoint.state.encryptionStarted = false;
+      }
+      packaged = await encodeAndPackage(event, {
+        s3Key,
+        inputPath,
+        editedPath,
+        chunksDir,
+        outputDir,
+        inputStorage,
+        encodingMode,
+        outputDash,
+        encryption,
+        thumbnails,
+        outputIframes,
+        aspect,
+        segmentDuration,
+        codecs,
+        lowMaster,
+        perTitle,
+        edit,
+        sidecars,
+        progress,
+        checkpoint,
+      });
+      checkpoint.state.packaged = packaged;
+      await checkpoint.save({ remote: true });
+    }
+    const { source, edit: editSummary, ladder, thumbnailFiles, iframes, encryptionSummary } = packaged;
+
+    progress.startStage('validate');
+    try {
+      assertConformance(outputDir, event.conformance);
+    } catch (error) {
+      if (error instanceof ConformanceError) {
+        // Broken output must be produced again rather than resumed
+        checkpoint.state.packaged = null;
+        error.errors
+          .filter(violation => violation.rendition)
+          .forEach(violation => delete checkpoint.state.renditions[violation.rendition]);
+      }
+      throw error;
+    }
+    progress.endStage('validate');
 
-  const resolutions = [
-    { ...scaleResolution(isHD ? 0.7 : 0.8), name: 'super_low' },
-    { ...scaleResolution(isHD ? 0.8 : 1), name: 'lower' },
-    { ...scaleResolution(1), name: 'low' },
-  ];
+    // Content goes to a version prefix that stays invisible until it is published
+    if (!checkpoint.state.outputVersion) {
+      checkpoint.state.outputVersion = createVersionId();
+      await checkpoint.save();
+    }
+    const version = checkpoint.state.outputVersion;
+    const versionPrefix = `${s3OutputPrefix}/${version}`;
+
+    progress.startStage('upload');
+    console.log(`Uploading version ${version} to ${outputStorage.locate(versionPrefix)}`);
+    const totalFiles = countFiles(outputDir);
+    let uploadedFiles = 0;
+    let skippedFiles = 0;
+    const checksums = new Map();
+    await uploadDirectory(outputStorage, versionPrefix, outputDir, {
+      // Objects already uploaded with the same content are left alone
+      shouldUpload: async (key, filePath) => {
+        throwIfCancelled();
+        const checksum = await fileChecksum(filePath);
+        checksums.set(key, checksum);
+        return !checkpoint.isUploaded(key, checksum);
+      },
+      onUploaded: async (key, filePath, skipped) => {
+        if (skipped) {
+          skippedFiles++;
+        } else {
+          await checkpoint.markUploaded(key, checksums.get(key));
+        }
+        uploadedFiles++;
+        progress.update('upload', null, (uploadedFiles / totalFiles) * 100);
+      },
+    });
+    if (skippedFiles > 0) {
+      console.log(`Skipped ${skippedFiles} objects uploaded by a previous run`);
+    }
+    progress.endStage('upload');
+
+    progress.startStage('publish');
+    const variantPlaylists = readdirSync(outputDir)
+      .filter(name => existsSync(join(outputDir, name, 'index.m3u8')))
+      .map(name => `${name}/index.m3u8`);
+    const entryPoints = ['master.m3u8', 'low_master.m3u8', 'manifest.mpd']
+      .filter(file => existsSync(join(outputDir, file)));
+    await verifyVersion(outputStorage, s3OutputPrefix, version, [...variantPlaylists, ...entryPoints]);
+
+    publication.previous = await readPublishedState(outputStorage, s3OutputPrefix);
+    if (!publication.previous) {
+      // Output published before versioning goes back online if publishing fails
+      publication.entryPoints = await snapshotEntryPoints(outputStorage, s3OutputPrefix);
+    }
+    publication.publishing = true;
+    const published = await publishVersion(outputStorage, s3OutputPrefix, version, outputDir, publication.previous, keepVersions);
+    publication.publishing = false;
+    publication.published = true;
+
+    // The new version is live; failing to clean up older ones must not fail the job
+    try {
+      await removeStaleObjects(outputStorage, s3OutputPrefix, published);
+    } catch (cleanupError) {
+      console.warn(`Could not remove stale objects: ${cleanupError.message}`);
+    }
+    progress.endStage('publish');
 
-  return resolutions.map(res => ({
-    ...res,
-    width: res.width % 2 === 0 ? res.width : res.width - 1,
-    height: res.height % 2 === 0 ? res.height : res.height - 1,
-    bitrate: calculateBitrate(res.width, res.height, res.name)
-  }));
-};
+    const versionUrl = file => outputUrl(`${version}/${file}`);
 
-const processVideo = async event => {
-  const s3Bucket = process.env.MY_S3_BUCKET;
-  const { s3Key } = event;
+    const masterPlaylistUrl = outputUrl('master.m3u8');
+    const dashManifestUrl = outputDash ? outputUrl('manifest.mpd') : undefined;
+    const thumbnailUrls = thumbnailFiles && {
+      poster: thumbnailFiles.poster ? versionUrl(thumbnailFiles.poster) : undefined,
+      sprites: thumbnailFiles.sprites.map(versionUrl),
+      vtt: thumbnailFiles.vtt ? versionUrl(thumbnailFiles.vtt) : undefined,
+    };
+    const iframePlaylistUrls = outputIframes
+      ? Object.fromEntries(Object.values(iframes).map(iframe => [iframe.name, versionUrl(iframe.uri)]))
+      : undefined;
 
-  if (!s3Bucket || !s3Key) {
-    throw new Error('s3Bucket or s3Key not provided');
-  }
+    console.log('Video processing completed successfully');
+    const result = {
+      message: 'Video processing completed successfully',
+      jobId: progress.jobId,
+      version,
+      masterPlaylistUrl,
+      dashManifestUrl,
+      thumbnails: thumbnailUrls,
+      iframePlaylistUrls,
+      encryption: encryptionSummary,
+      ladder,
+      edit: editSummary,
+      source,
+    };
+    checkpoint.state.result = result;
+    await checkpoint.save({ remote: true });
 
-  console.log('Starting video processing');
-  const outputDir = join('/tmp', 'output');
-  const inputPath = join(outputDir, 'input.mp4');
+    console.log('Cleaning up temporary files');
+    emptyDirectory(jobDir);
 
-  try {
-    console.log('Creating output directory');
-    mkdirSync(outputDir, { recursive: true });
-
-    console.log('Downloading file from S3');
-    await downloadFile(s3Bucket, s3Key, inputPath);
-
-    console.log('Getting video resolution');
-    // Get video metadata including rotation
-    const metadata = await new Promise((resolve, reject) => {
-      ffmpeg.ffprobe(inputPath, (err, metadata) => {
-        if (err) {
-          console.error(`Error probing video file ${inputPath}: ${err.message}`);
-          reject(err);
-        } else {
-          const videoStream = metadata.streams.find(stream => stream.codec_type === 'video');
-          if (videoStream) {
-            const resolution = {
-              width: videoStream.width,
-              height: videoStream.height,
-              displayAspectRatio: videoStream.display_aspect_ratio,
-              sampleAspectRatio: videoStream.sample_aspect_ratio,
-              rotation: videoStream.rotation || 0 // Default to 0 if no rotation data
-            };
-
-            // Adjust width/height for rotated videos
-            if(resolution.rotation == 90 || resolution.rotation == -90 || resolution.rotation == 270) {
-              [resolution.width, resolution.height] = [resolution.height, resolution.width];
-            }
-            
-            console.log('Video metadata:', JSON.stringify(resolution, null, 2));
-            resolve(resolution);
-          } else {
-            reject(new Error('No video stream found'));
-          }
-        }
-      });
-    });
+    progress.complete(result);
+    return {
+      statusCode: 200,
+      body: JSON.stringify(signResult(result, cdn, outputUrl('*'))),
+    };
+  } catch (caught) {
+    const error = asCancellation(caught);
+    console.error('Error processing video:', error);
+    // A job interrupted by a shutdown runs again from its checkpoint: nothing is undone or reported final
+    const interrupted = isInterrupted();
+    if (!interrupted) {
+      await rollbackPublication(outputStorage, s3OutputPrefix, publication);
+    }
+    // Work files are kept for the next run; the mirrored checkpoint covers a fresh machine
+    if (checkpoint) {
+      await checkpoint.save({ remote: true })
+        .catch(saveError => console.warn(`Could not store the checkpoint: ${saveError.message}`));
+    }
+    const result = { jobId: progress.jobId, ...errorBody(error) };
+    if (interrupted) {
+      console.log('Job interrupted by a shutdown, it resumes on the next start');
+    } else {
+      progress.fail(error, result);
+    }
+    return {
+      statusCode: statusCodeOf(error),
+      body: JSON.stringify(result),
+    };
+  } finally {
+    // Deliver the final status and callback before the process may exit
+    await progress.flush();
+  }
+};
 
-    console.log(`Original video resolution: ${metadata.width}x${metadata.height}, rotation: ${metadata.rotation}`);
 
-    console.log('Generating HLS streams');
-    const resolutions = getAdjustedResolutions(metadata.width, metadata.height);
-    
-    // Pass the rotation information to generateHlsStream
-    await Promise.all(resolutions.map(res =>
-      generateHlsStream(inputPath, outputDir, res.width, res.height, res.bitrate, res.name, metadata.rotation)
-    ));
 
-    console.log('Generating master playlist');
-    await appendToMasterM3u8(resolutions, outputDir);
 
-    console.log('Generating low master playlist');
-    await appendToLowMasterM3u8(resolutions, outputDir);
+// mode "probe": download and analyse the source only, nothing is encoded or published
+const probeVideo = async event => {
+  const { s3Key } = event;
 
-    console.log('Deleting input file');
-    unlinkSync(inputPath);
+  if (!s3Key) {
+    throw new Error('s3Key not provided');
+  }
 
-    console.log('Uploading to S3');
-    const s3OutputPrefix = `${s3Key}/hls`;
-    await uploadToS3(s3Bucket, s3OutputPrefix, outputDir);
+  const inputStorage = createStorage(event.storage);
+  const probeDir = join(process.env.WORK_DIR || '/tmp', 'probes', randomUUID());
+  const inputPath = join(probeDir, 'input');
 
-    const masterPlaylistUrl = `https://d198g8637lsfvs.cloudfront.net/${s3OutputPrefix}/master.m3u8`;
+  try {
+    mkdirSync(probeDir, { recursive: true });
+    console.log(`Downloading ${inputStorage.locate(s3Key)} for analysis`);
+    await inputStorage.getFile(s3Key, inputPath);
 
-    console.log('Video processing completed successfully');
+    const { report } = await inspectSource(inputPath, event.validation);
     return {
       statusCode: 200,
-      body: JSON.stringify({ message: 'Video processing completed successfully', masterPlaylistUrl }),
+      body: JSON.stringify({ message: 'Source accepted', report }),
     };
-  } catch (error) {
-    console.error('Error processing video:', error);
-    emptyDirectory(outputDir);
+  } catch (caught) {
+    const error = asCancellation(caught);
+    console.error('Error probing video:', error);
     return {
-      statusCode: 500,
-      body: JSON.stringify({ message: 'Error processing video', error: error.message, stack: error.stack }),
+      statusCode: statusCodeOf(error),
+      body: JSON.stringify(errorBody(error)),
     };
   } finally {
-    console.log('Cleaning up temporary files');
-    emptyDirectory(outputDir);
+    rmSync(probeDir, { recursive: true, force: true });
   }
 };
 
+/**
+ * Runs one job and returns its { statusCode, body } response.
+ *
+ * options.onProgress: function(event, status) receiving every progress event in process
+ */
+export async function runJob(event, options = {}) {
+  const mode = event.mode || 'encode';
+  if (mode === 'probe') {
+    return probeVideo(event);
+  }
+  if (mode !== 'encode') {
+    throw new Error(`Unknown mode: ${mode}`);
+  }
+  return processVideo(event, options);
+}
+
+// Runs the jobs of a batch one after another, each with its own result entry
+const runBatch = async items => {
+  const results = [];
+  for (const item of items) {
+    if (item.skipped) {
+      console.log(`Skipping ${item.source}: ${item.skipped}`);
+      results.push({ source: item.source, statusCode: 204, message: item.skipped });
+    } else if (item.error) {
+      console.error(`Invalid batch entry ${item.source}: ${item.error}`);
+      results.push({ source: item.source, statusCode: 400, message: 'Invalid event', code: 'INVALID_EVENT', error: item.error });
+    } else {
+      console.log(`Processing ${item.source}`);
+      try {
+        const response = await runJob(item.event);
+        results.push({ source: item.source, s3Key: item.event.s3Key, statusCode: response.statusCode, ...JSON.parse(response.body) });
+      } catch (error) {
+        console.error(`Error processing ${item.source}:`, error);
+        results.push({ source: item.source, s3Key: item.event.s3Key, statusCode: 500, ...errorBody(error) });
+      }
+    }
+  }
 
-
+  const failed = results.filter(result => result.statusCode >= 300).length;
+  return {
+    // 207: the entries carry their own status
+    statusCode: failed > 0 ? 207 : 200,
+    body: JSON.stringify({ message: `Processed ${results.length} items, ${failed} failed`, results }),
+  };
+};
 
 export async function handler(event) {
-  return processVideo(event);
+  const { batch, items } = expandEvent(event);
+  if (batch) {
+    return runBatch(items);
+  }
+  const [item] = items;
+  if (item.error) {
+    console.error(`Invalid event ${item.source}: ${item.error}`);
+    return { statusCode: 400, body: JSON.stringify({ message: 'Invalid event', code: 'INVALID_EVENT', error: item.error }) };
+  }
+  return runJob(item.event);
 }
\ No newline at end of file
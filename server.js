@@ -0,0 +1,123 @@
+import { createServer } from 'http';
+import { join } from 'path';
+import { expandEvent, runJob } from './index.js';
+import { FINAL_STATES, createJobQueue } from './src/queue.js';
+
+// Service mode: a small local HTTP API in front of a persistent job queue.
+//   POST /jobs               submit a job, the body is the event the handler takes
+//   GET  /jobs[?state=...]   list jobs
+//   GET  /jobs/<id>          state, progress and result of a job
+//   POST /jobs/<id>/cancel   cancel a queued or running job
+//   GET  /health             liveness check
+
+const MAX_BODY_BYTES = 1024 * 1024;
+
+const readJson = request => new Promise((resolve, reject) => {
+    let body = '';
+    request.setEncoding('utf8');
+    request.on('data', chunk => {
+        body += chunk;
+        if (body.length > MAX_BODY_BYTES) {
+            reject(new Error('Request body too large'));
+            request.destroy();
+        }
+    });
+    request.on('end', () => {
+        try {
+            resolve(JSON.parse(body));
+        } catch (error) {
+            reject(new Error(`Invalid JSON: ${error.message}`));
+        }
+    });
+    request.on('error', reject);
+});
+
+const send = (response, statusCode, body) => {
+    response.writeHead(statusCode, { 'Content-Type': 'application/json' });
+    response.end(JSON.stringify(body, null, 2));
+};
+
+const route = async (queue, request, response) => {
+    const url = new URL(request.url, 'http://localhost');
+    const [resource, id, action] = url.pathname.split('/').filter(Boolean);
+
+    if (request.method === 'GET' && resource === 'health' && !id) {
+        return send(response, 200, { status: 'ok' });
+    }
+    if (resource !== 'jobs') {
+        return send(response, 404, { message: 'Not found' });
+    }
+
+    if (!id) {
+        if (request.method === 'GET') {
+            try {
+                return send(response, 200, { jobs: queue.list({ state: url.searchParams.get('state') || undefined }) });
+            } catch (error) {
+                return send(response, 400, { message: error.message });
+            }
+        }
+        if (request.method === 'POST') {
+            try {
+                return send(response, 202, queue.submit(await readJson(request)));
+            } catch (error) {
+                return send(response, 400, { message: error.message });
+            }
+        }
+        return send(response, 405, { message: 'Method not allowed' });
+    }
+
+    const job = queue.get(id);
+    if (!job) {
+        return send(response, 404, { message: `Job ${id} not found` });
+    }
+    if (request.method === 'GET' && !action) {
+        return send(response, 200, job);
+    }
+    if (request.method === 'POST' && action === 'cancel') {
+        if (FINAL_STATES.includes(job.state)) {
+            return send(response, 409, { message: `Job ${id} is already ${job.state}` });
+        }
+        return send(response, 202, queue.cancel(id));
+    }
+    return send(response, 405, { message: 'Method not allowed' });
+};
+
+async function serve() {
+    try {
+        const port = parseInt(process.env.SERVER_PORT || '8080', 10);
+        const host = process.env.SERVER_HOST || '127.0.0.1';
+        const queue = createJobQueue({
+            dir: join(process.env.WORK_DIR || '/tmp', 'queue'),
+            concurrency: parseInt(process.env.JOB_CONCURRENCY || '1', 10),
+            run: runJob,
+            expand: expandEvent,
+        });
+
+        const server = createServer((request, response) => {
+            route(queue, request, response).catch(error => {
+                console.error('Error handling request:', error);
+                send(response, 500, { message: error.message });
+            });
+        });
+
+        // Running jobs are killed and resumed from their checkpoints on the next start
+        const shutdown = async signal => {
+            console.log(`Received ${signal}, stopping the job server`);
+            server.close();
+            await queue.stop();
+            process.exit(0);
+        };
+        process.once('SIGTERM', shutdown);
+        process.once('SIGINT', shutdown);
+
+        server.listen(port, host, () => {
+            console.log(`Job server listening on http://${host}:${port}`);
+            queue.start();
+        });
+    } catch (error) {
+        console.error('Fatal error:', error);
+        process.exit(1);
+    }
+}
+
+serve();
@@ -0,0 +1,125 @@
+import { makeEven } from './util.js';
+
+// Aspect ratio handling: how the source picture is fitted into each rendition.
+//
+//   native    output keeps the source aspect ratio, no bars and no cropping
+//   pad       picture scaled to fit a fixed ratio frame, letterboxed or pillarboxed
+//   crop      picture scaled to cover a fixed ratio frame, centre cropped
+//   vertical  native 9:16 ladder, centre cropped: 720 means 720x1280
+//
+// With a fixed ratio a rung's height is the short side of the frame (720 gives
+// 1280x720 at 16:9 and 720x1280 at 9:16); a rung width sets the frame width.
+
+const MODES = ['native', 'pad', 'crop', 'vertical'];
+
+// Rung bitrates are meant for a 16:9 frame of the rung's nominal size
+const NOMINAL_RATIO = 16 / 9;
+
+// Bitrate scaling bounds when the frame is smaller or larger than the nominal one
+const MIN_BITRATE_SCALE = 0.25;
+const MAX_BITRATE_SCALE = 1;
+
+const parseRatio = ratio => {
+  if (typeof ratio === 'number' && ratio > 0) return ratio;
+  const match = String(ratio).match(/^(\d+(?:\.\d+)?)[:/x](\d+(?:\.\d+)?)$/);
+  if (!match || !(Number(match[1]) > 0) || !(Number(match[2]) > 0)) {
+    throw new Error(`Invalid aspect ratio: ${ratio}`);
+  }
+  return Number(match[1]) / Number(match[2]);
+};
+
+/**
+ * Resolves the job's aspect settings. Accepts a mode name or { mode, ratio };
+ * defaults to padding to 16:9 (ASPECT_MODE, ASPECT_RATIO).
+ */
+const resolveAspect = config => {
+  const settings = typeof config === 'string' ? { mode: config } : (config || {});
+  const mode = settings.mode || process.env.ASPECT_MODE || 'pad';
+  if (!MODES.includes(mode)) {
+    throw new Error(`Unknown aspect mode: ${mode}`);
+  }
+
+  switch (mode) {
+    case 'native':
+      return { mode, fit: 'scale', ratio: null };
+    case 'vertical':
+      return { mode, fit: 'crop', ratio: 9 / 16 };
+    default:
+      return { mode, fit: mode, ratio: parseRatio(settings.ratio || process.env.ASPECT_RATIO || '16:9') };
+  }
+};
+
+// Output frame of a rung: the source ratio in native mode, the fixed ratio otherwise
+const frameSize = (rung, source, aspect) => {
+  const ratio = aspect.ratio || source.width / source.height;
+  if (rung.width) {
+    return { width: makeEven(rung.width), height: makeEven(rung.width / ratio) };
+  }
+  if (!aspect.ratio) {
+    return { width: makeEven(rung.height * ratio), height: makeEven(rung.height) };
+  }
+  // Fixed ratios: the nominal size is the short side
+  return ratio >= 1
+    ? { width: makeEven(rung.height * ratio), height: makeEven(rung.height) }
+    : { width: makeEven(rung.height), height: makeEven(rung.height / ratio) };
+};
+
+// Size the source picture is scaled to before padding or cropping into the frame
+const contentSize = (frame, source, aspect) => {
+  if (aspect.fit === 'scale') {
+    return { width: frame.width, height: frame.height };
+  }
+  const scaleToWidth = frame.width / source.width;
+  const scaleToHeight = frame.height / source.height;
+  // Padding fits the picture inside the frame, cropping covers the whole frame
+  const scale = aspect.fit === 'pad' ? Math.min(scaleToWidth, scaleToHeight) : Math.max(scaleToWidth, scaleToHeight);
+  const width = makeEven(source.width * scale);
+  const height = makeEven(source.height * scale);
+  // Rounding must never leave the picture larger than a padded frame or smaller than a cropped one
+  return aspect.fit === 'pad'
+    ? { width: Math.min(width, frame.width), height: Math.min(height, frame.height) }
+    : { width: Math.max(width, frame.width), height: Math.max(height, frame.height) };
+};
+
+/**
+ * Sizes one rung for the source: width/height are the output frame,
+ * contentWidth/contentHeight the scaled picture inside it.
+ */
+const sizeRung = (rung, source, aspect) => {
+  const frame = frameSize(rung, source, aspect);
+  const content = contentSize(frame, source, aspect);
+  return { width: frame.width, height: frame.height, contentWidth: content.width, contentHeight: content.height, fit: aspect.fit };
+};
+
+// The largest frame the source fills without upscaling, for sources below every rung
+const sizeToSource = (source, aspect) => {
+  if (!aspect.ratio) {
+    return sizeRung({ width: source.width }, source, aspect);
+  }
+  const sourceRatio = source.width / source.height;
+  const fitsWidth = aspect.fit === 'pad' ? sourceRatio >= aspect.ratio : sourceRatio <= aspect.ratio;
+  return sizeRung({ width: fitsWidth ? source.width : source.height * aspect.ratio }, source, aspect);
+};
+
+// Factor applied to a rung's bitrates for its real frame area
+const bitrateScale = (rung, frame) => {
+  const nominalHeight = rung.height || rung.width / NOMINAL_RATIO;
+  const nominalArea = nominalHeight * nominalHeight * NOMINAL_RATIO;
+  const scale = (frame.width * frame.height) / nominalArea;
+  return Math.min(MAX_BITRATE_SCALE, Math.max(MIN_BITRATE_SCALE, scale));
+};
+
+// ffmpeg filter placing the scaled picture into the rung's frame
+const buildFrameFilter = rung => {
+  const scale = `scale=${rung.contentWidth}:${rung.contentHeight}`;
+  switch (rung.fit) {
+    case 'pad':
+      return `${scale},pad=${rung.width}:${rung.height}:(ow-iw)/2:(oh-ih)/2:color=black,setsar=1:1`;
+    case 'crop':
+      return `${scale},crop=${rung.width}:${rung.height},setsar=1:1`;
+    default:
+      return `${scale},setsar=1:1`;
+  }
+};
+
+export { resolveAspect, sizeRung, sizeToSource, bitrateScale, buildFrameFilter };
@@ -0,0 +1,87 @@
+import { slug } from './util.js';
+
+// Audio renditions. Every audio stream of the source is encoded once into its
+// own HLS playlist and referenced from the master through an EXT-X-MEDIA group,
+// so video variants carry no audio of their own.
+
+const AUDIO_GROUP_ID = 'audio';
+
+/**
+ * Describes the audio streams found by ffprobe.
+ *
+ * options.defaultLanguage: preferred language for the DEFAULT=YES track
+ */
+const getAudioTracks = (streams, options = {}) => {
+  const usedNames = new Set();
+  const usedTitles = new Set();
+
+  const tracks = streams
+    .filter(stream => stream.codec_type === 'audio')
+    .map((stream, position) => {
+      const tags = stream.tags || {};
+      const language = tags.language && tags.language !== 'und' ? tags.language : null;
+
+      // Directory name: audio_<language>, made unique when a language repeats
+      let name = `audio_${slug(language || position)}`;
+      for (let suffix = 2; usedNames.has(name); suffix++) {
+        name = `audio_${slug(language || position)}_${suffix}`;
+      }
+      usedNames.add(name);
+
+      // NAME must be unique within the EXT-X-MEDIA group
+      const baseTitle = tags.title || (language ? language.toUpperCase() : `Track ${position + 1}`);
+      let title = baseTitle;
+      for (let suffix = 2; usedTitles.has(title); suffix++) {
+        title = `${baseTitle} ${suffix}`;
+      }
+      usedTitles.add(title);
+
+      return {
+        name,
+        streamIndex: stream.index,
+        position,
+        language,
+        title,
+        channels: Math.min(stream.channels || 2, 2),
+        isSourceDefault: Boolean(stream.disposition && stream.disposition.default),
+        default: false,
+      };
+    });
+
+  if (tracks.length > 0) {
+    const preferred = options.defaultLanguage
+      && tracks.find(track => track.language === options.defaultLanguage);
+    const chosen = preferred || tracks.find(track => track.isSourceDefault) || tracks[0];
+    chosen.default = true;
+  }
+
+  return tracks;
+};
+
+// Audio bitrates are strings such as '96k'
+const parseAudioBitrate = bitrate => parseInt(bitrate, 10);
+
+// One group bitrate for all tracks: explicit override or the best the ladder asks for
+const resolveAudioBitrate = (rungs, override) => {
+  if (override) {
+    return override;
+  }
+  const highest = Math.max(...rungs.map(rung => parseAudioBitrate(rung.audioBitrate)));
+  return `${highest}k`;
+};
+
+const buildAudioMediaLines = tracks => tracks.map(track => {
+  const attributes = [
+    'TYPE=AUDIO',
+    `GROUP-ID="${AUDIO_GROUP_ID}"`,
+    `NAME="${track.title.replace(/"/g, "'")}"`,
+    track.language ? `LANGUAGE="${track.language}"` : null,
+    `DEFAULT=${track.default ? 'YES' : 'NO'}`,
+    'AUTOSELECT=YES',
+    `CHANNELS="${track.channels}"`,
+    `URI="${track.name}/index.m3u8"`,
+  ].filter(Boolean);
+  return `#EXT-X-MEDIA:${attributes.join(',')}`;
+});
+
+export { AUDIO_GROUP_ID, getAudioTracks, parseAudioBitrate, resolveAudioBitrate, buildAudioMediaLines };
@@ -0,0 +1,72 @@
+import { AsyncLocalStorage } from 'async_hooks';
+
+// Job cancellation. The job server runs every job inside a cancellation scope;
+// ffmpeg commands started anywhere in the pipeline register with the scope of
+// the job that started them, so cancelling a job kills its ffmpeg processes.
+// The pipeline then stops at its next stage with JobCancelledError. Code that
+// runs outside any scope (the CLI and Lambda paths) is never cancelled. A job
+// cancelled by a server shutdown is interrupted rather than cancelled: it is
+// queued again and resumes, so nothing it did is rolled back or reported final.
+
+class JobCancelledError extends Error {
+  constructor() {
+    super('Job was cancelled');
+    this.name = 'JobCancelledError';
+    this.code = 'JOB_CANCELLED';
+  }
+}
+
+const scopes = new AsyncLocalStorage();
+
+const createCancellation = () => {
+  const commands = new Set();
+  const cancellation = {
+    cancelled: false,
+    shutdown: false,
+    commands,
+    // options.shutdown: the job is stopped by a shutdown and runs again on the next start
+    cancel: ({ shutdown = false } = {}) => {
+      if (cancellation.cancelled) return;
+      cancellation.cancelled = true;
+      cancellation.shutdown = shutdown;
+      console.log(`${shutdown ? 'Interrupting' : 'Cancelling'} job, killing ${commands.size} ffmpeg processes`);
+      commands.forEach(command => command.kill('SIGKILL'));
+    },
+  };
+  return cancellation;
+};
+
+// Runs fn (and everything it starts) inside the cancellation scope
+const runCancellable = (cancellation, fn) => scopes.run(cancellation, fn);
+
+const isCancelled = () => Boolean(scopes.getStore() && scopes.getStore().cancelled);
+
+const isInterrupted = () => Boolean(scopes.getStore() && scopes.getStore().shutdown);
+
+const throwIfCancelled = () => {
+  if (isCancelled()) {
+    throw new JobCancelledError();
+  }
+};
+
+// Registers a fluent-ffmpeg command with the running job before it is run
+const trackCommand = command => {
+  const cancellation = scopes.getStore();
+  if (!cancellation) return command;
+  throwIfCancelled();
+
+  cancellation.commands.add(command);
+  const forget = () => cancellation.commands.delete(command);
+  return command
+    // A process spawned after the job was cancelled is killed right away
+    .on('start', () => {
+      if (cancellation.cancelled) command.kill('SIGKILL');
+    })
+    .on('end', forget)
+    .on('error', forget);
+};
+
+// A job failing after it was cancelled failed because of the cancellation (e.g. a killed ffmpeg)
+const asCancellation = error => (isCancelled() && !(error instanceof JobCancelledError) ? new JobCancelledError() : error);
+
+export { JobCancelledError, createCancellation, runCancellable, isInterrupted, throwIfCancelled, trackCommand, asCancellation };
@@ -0,0 +1,259 @@
+import { createCipheriv } from 'crypto';
+import { readBoxes, readTfhd, readTrun } from './codecs.js';
+
+// CMAF 'cbcs' sample encryption (HLS SAMPLE-AES for fMP4), applied to segments
+// ffmpeg has already written:
+//   - init segments get their sample entry renamed to encv/enca with a sinf box
+//     carrying the key id and constant IV (tenc)
+//   - media segments get every sample encrypted in place, plus senc/saiz/saio
+//     boxes describing the clear and protected ranges
+// Video uses the 1:9 pattern over each slice NAL unit after a clear leader that
+// covers the slice header; audio samples are encrypted whole.
+
+const VIDEO_CRYPT_BLOCKS = 1;
+const VIDEO_SKIP_BLOCKS = 9;
+// Bytes left clear at the start of each slice NAL unit, enough for its slice header
+const SLICE_CLEAR_LEADER = 32;
+const NAL_LENGTH_SIZE = 4;
+
+const box = (type, ...payload) => {
+  const body = Buffer.concat(payload);
+  const header = Buffer.alloc(8);
+  header.writeUInt32BE(body.length + 8, 0);
+  header.write(type, 4, 'latin1');
+  return Buffer.concat([header, body]);
+};
+
+const fullBox = (type, version, flags, ...payload) => {
+  const versionAndFlags = Buffer.alloc(4);
+  versionAndFlags.writeUInt32BE(((version & 0xff) << 24) | (flags & 0xffffff), 0);
+  return box(type, versionAndFlags, ...payload);
+};
+
+// Inserts `insert` at `position` and grows the 32-bit size of every enclosing box
+const spliceIntoBoxes = (buffer, ancestors, position, insert) => {
+  const output = Buffer.concat([buffer.subarray(0, position), insert, buffer.subarray(position)]);
+  ancestors.forEach(ancestor => {
+    output.writeUInt32BE(output.readUInt32BE(ancestor.start) + insert.length, ancestor.start);
+  });
+  return output;
+};
+
+const findChild = (buffer, parent, type) => readBoxes(buffer, parent.dataStart, parent.end).find(child => child.type === type);
+
+const isVideoEntry = type => ['avc1', 'avc3', 'hvc1', 'hev1'].includes(type);
+
+/**
+ * Marks every track of an init segment as cbcs protected with the given key.
+ * Returns the rewritten init segment.
+ */
+const protectInitSegment = (buffer, { keyId, iv }) => {
+  let output = buffer;
+
+  const protectNextTrack = () => {
+    const [moov] = readBoxes(output, 0, output.length).filter(candidate => candidate.type === 'moov');
+    const traks = readBoxes(output, moov.dataStart, moov.end).filter(candidate => candidate.type === 'trak');
+
+    for (const trak of traks) {
+      const mdia = findChild(output, trak, 'mdia');
+      const minf = mdia && findChild(output, mdia, 'minf');
+      const stbl = minf && findChild(output, minf, 'stbl');
+      const stsd = stbl && findChild(output, stbl, 'stsd');
+      if (!stsd) continue;
+
+      // stsd is a full box with an entry count before the sample entries
+      const [entry] = readBoxes(output, stsd.dataStart + 8, stsd.end);
+      if (!entry || entry.type === 'encv' || entry.type === 'enca') continue;
+
+      const video = isVideoEntry(entry.type);
+      const tenc = fullBox('tenc', 1, 0, Buffer.from([
+        0,
+        video ? (VIDEO_CRYPT_BLOCKS << 4) | VIDEO_SKIP_BLOCKS : 0,
+        1, // isProtected
+        0, // Per_Sample_IV_Size: a constant IV follows
+      ]), keyId, Buffer.from([iv.length]), iv);
+
+      const schemeType = Buffer.alloc(8);
+      schemeType.write('cbcs', 0, 'latin1');
+      schemeType.writeUInt32BE(0x00010000, 4);
+
+      const sinf = box('sinf',
+        box('frma', Buffer.from(entry.type, 'latin1')),
+        fullBox('schm', 0, 0, schemeType),
+        box('schi', tenc));
+
+      output = spliceIntoBoxes(output, [moov, trak, mdia, minf, stbl, stsd, entry], entry.end, sinf);
+      output.write(video ? 'encv' : 'enca', entry.start + 4, 'latin1');
+      return true;
+    }
+    return false;
+  };
+
+  // Offsets move after every insertion, so re-read the tree for each track
+  while (protectNextTrack());
+  return output;
+};
+
+// Encrypts `length` bytes at `offset` in place, every block when no pattern is given
+const encryptRange = (data, offset, length, key, iv, pattern) => {
+  const cipher = createCipheriv('aes-128-cbc', key, iv);
+  cipher.setAutoPadding(false);
+
+  const blocks = Math.floor(length / 16);
+  const crypt = pattern ? pattern.crypt : blocks;
+  const skip = pattern ? pattern.skip : 0;
+
+  for (let block = 0; block < blocks; block += crypt + skip) {
+    const count = Math.min(crypt, blocks - block);
+    const start = offset + block * 16;
+    const encrypted = cipher.update(data.subarray(start, start + count * 16));
+    encrypted.copy(data, start);
+  }
+};
+
+// Subsample clear counts are 16 bit, so long clear runs are split
+const MAX_CLEAR_BYTES = 0xffff;
+
+const pushSubsample = (subsamples, clear, protectedBytes) => {
+  while (clear > MAX_CLEAR_BYTES) {
+    subsamples.push({ clear: MAX_CLEAR_BYTES, protected: 0 });
+    clear -= MAX_CLEAR_BYTES;
+  }
+  subsamples.push({ clear, protected: protectedBytes });
+};
+
+// Subsamples of one AVC/HEVC sample: non-slice NAL units stay clear, and the
+// protected part of a slice is a whole number of blocks ending with the NAL unit
+const videoSubsamples = (sample, codec) => {
+  const subsamples = [];
+  let clear = 0;
+  let offset = 0;
+
+  while (offset + NAL_LENGTH_SIZE <= sample.length) {
+    const nalSize = sample.readUInt32BE(offset);
+    const header = sample[offset + NAL_LENGTH_SIZE];
+    const nalType = codec === 'hevc' ? (header >> 1) & 0x3f : header & 0x1f;
+    const isSlice = codec === 'hevc' ? nalType <= 31 : nalType >= 1 && nalType <= 5;
+    const unitSize = NAL_LENGTH_SIZE + nalSize;
+
+    const leader = NAL_LENGTH_SIZE + SLICE_CLEAR_LEADER;
+    const protectedBytes = isSlice ? Math.floor(Math.max(0, unitSize - leader) / 16) * 16 : 0;
+
+    if (protectedBytes > 0) {
+      pushSubsample(subsamples, clear + unitSize - protectedBytes, protectedBytes);
+      clear = 0;
+    } else {
+      clear += unitSize;
+    }
+    offset += unitSize;
+  }
+
+  if (clear > 0 || subsamples.length === 0) {
+    pushSubsample(subsamples, clear, 0);
+  }
+  return subsamples;
+};
+
+/**
+ * Encrypts every fragment (moof + mdat) of a media segment in place and adds
+ * the sample auxiliary information. `codec` is 'avc', 'hevc' or 'audio'.
+ * Returns the rewritten segment.
+ */
+const protectMediaSegment = (buffer, { key, iv, codec }) => {
+  const pieces = [];
+  const topLevel = readBoxes(buffer, 0, buffer.length);
+
+  topLevel.forEach(current => {
+    if (current.type !== 'moof') {
+      pieces.push(buffer.subarray(current.start, current.end));
+      return;
+    }
+
+    let moof = Buffer.from(buffer.subarray(current.start, current.end));
+    const moofLength = moof.length;
+    const [traf] = readBoxes(moof, 8, moof.length).filter(candidate => candidate.type === 'traf');
+    const tfhd = findChild(moof, traf, 'tfhd');
+    const trun = findChild(moof, traf, 'trun');
+    const { baseDataOffsetPosition, defaultSampleSize } = readTfhd(moof, tfhd);
+    const { sampleCount, sizes, dataOffsetPosition } = readTrun(moof, trun);
+
+    // Sample data lives in the file buffer, addressed from the moof start unless tfhd says otherwise
+    const base = baseDataOffsetPosition !== null
+      ? Number(moof.readBigUInt64BE(baseDataOffsetPosition))
+      : current.start;
+    let sampleOffset = base + (dataOffsetPosition !== null ? moof.readInt32BE(dataOffsetPosition) : 0);
+
+    const auxEntries = [];
+    for (let i = 0; i < sampleCount; i++) {
+      const size = sizes[i] !== null ? sizes[i] : defaultSampleSize;
+      if (size === null) {
+        throw new Error('Cannot determine sample sizes for encryption');
+      }
+      const sample = buffer.subarray(sampleOffset, sampleOffset + size);
+
+      if (codec === 'audio') {
+        encryptRange(sample, 0, size, key, iv, null);
+        auxEntries.push(Buffer.alloc(0));
+      } else {
+        const subsamples = videoSubsamples(sample, codec);
+        let position = 0;
+        const entry = Buffer.alloc(2 + subsamples.length * 6);
+        entry.writeUInt16BE(subsamples.length, 0);
+        subsamples.forEach((subsample, index) => {
+          position += subsample.clear;
+          if (subsample.protected > 0) {
+            // The IV is reset to the constant IV for every subsample
+            encryptRange(sample, position, subsample.protected, key, iv, { crypt: VIDEO_CRYPT_BLOCKS, skip: VIDEO_SKIP_BLOCKS });
+          }
+          position += subsample.protected;
+          entry.writeUInt16BE(subsample.clear, 2 + index * 6);
+          entry.writeUInt32BE(subsample.protected, 4 + index * 6);
+        });
+        auxEntries.push(entry);
+      }
+      sampleOffset += size;
+    }
+
+    const sampleCountField = Buffer.alloc(4);
+    sampleCountField.writeUInt32BE(sampleCount, 0);
+    const senc = fullBox('senc', 0, codec === 'audio' ? 0 : 0x2, sampleCountField, ...auxEntries);
+
+    const saizFields = Buffer.alloc(5);
+    saizFields.writeUInt8(0, 0); // sizes vary per sample
+    saizFields.writeUInt32BE(sampleCount, 1);
+    const saiz = fullBox('saiz', 0, 0, saizFields, Buffer.from(auxEntries.map(entry => entry.length)));
+
+    // saio points at the first aux entry inside senc: patched once positions are known
+    const saio = fullBox('saio', 0, 0, Buffer.from([0, 0, 0, 1, 0, 0, 0, 0]));
+    const insert = Buffer.concat([saiz, saio, senc]);
+
+    moof = spliceIntoBoxes(moof, [{ start: 0 }, traf], traf.end, insert);
+    const delta = insert.length;
+
+    // Earlier fragments may already have grown, shifting everything after them
+    const outputMoofStart = pieces.reduce((total, piece) => total + piece.length, 0);
+    const shift = outputMoofStart - current.start;
+
+    let outputBase = outputMoofStart;
+    if (baseDataOffsetPosition !== null) {
+      outputBase = base + shift + delta;
+      moof.writeBigUInt64BE(BigInt(outputBase), baseDataOffsetPosition);
+    } else if (dataOffsetPosition !== null) {
+      moof.writeInt32BE(moof.readInt32BE(dataOffsetPosition) + delta, dataOffsetPosition);
+    }
+
+    // Past the box header, version/flags and the entry or sample count
+    const saioOffsetPosition = traf.end + saiz.length + 16;
+    const sencDataPosition = traf.end + saiz.length + saio.length + 16;
+    moof.writeUInt32BE(outputMoofStart + sencDataPosition - outputBase, saioOffsetPosition);
+
+    if (moof.length !== moofLength + delta) {
+      throw new Error('Unexpected moof size after adding encryption boxes');
+    }
+    pieces.push(moof);
+  });
+
+  return Buffer.concat(pieces);
+};
+
+export { protectInitSegment, protectMediaSegment };
@@ -0,0 +1,129 @@
+import { createSign } from 'crypto';
+import { readFileSync } from 'fs';
+
+// Public URLs of published output. URLs are built from a template such as
+// https://media.example.com/{key}; without one, S3 output keeps the CloudFront
+// distribution results have always pointed at and other backends report the
+// storage location. Private distributions get CloudFront signed cookies (custom
+// policy with a wildcard resource, so one set of cookies covers every playlist
+// and segment) or, for the single-object outputs, signed URLs (canned policy,
+// one URL per object). Both are signed locally with the distribution's key pair.
+// Playlists reference their segments with relative URLs, which would reach the
+// CDN unsigned, so streams are always covered by cookies.
+
+const LEGACY_URL_TEMPLATE = 'https://d198g8637lsfvs.cloudfront.net/{key}';
+
+const SIGNING_MODES = ['none', 'url', 'cookies'];
+
+// Seconds a signature stays valid
+const DEFAULT_EXPIRES_IN = 24 * 60 * 60;
+
+// CloudFront's URL-safe base64: '+' becomes '-', '=' becomes '_' and '/' becomes '~'
+const cloudFrontBase64 = value => Buffer.from(value)
+  .toString('base64')
+  .replace(/\+/g, '-')
+  .replace(/=/g, '_')
+  .replace(/\//g, '~');
+
+const readPrivateKey = env => {
+  if (env.CDN_PRIVATE_KEY) {
+    // Environment variables often carry the PEM with escaped newlines
+    return env.CDN_PRIVATE_KEY.replace(/\\n/g, '\n');
+  }
+  if (env.CDN_PRIVATE_KEY_FILE) {
+    return readFileSync(env.CDN_PRIVATE_KEY_FILE, 'utf8');
+  }
+  return null;
+};
+
+/**
+ * Resolves the URL settings of a job from event.cdn, falling back to environment variables.
+ *
+ * config.urlTemplate: URL of an object, with {key} and {bucket} placeholders (CDN_URL_TEMPLATE)
+ * config.signing:     'none', 'url' or 'cookies' (CDN_SIGNING, default 'none')
+ * config.expiresIn:   seconds signatures stay valid (CDN_URL_EXPIRES_IN, default one day)
+ *
+ * The key pair only comes from the environment: CDN_KEY_PAIR_ID and the PEM
+ * private key in CDN_PRIVATE_KEY or the file CDN_PRIVATE_KEY_FILE.
+ */
+const resolveCdn = (config = {}) => {
+  const env = process.env;
+  const signing = config.signing || env.CDN_SIGNING || 'none';
+  if (!SIGNING_MODES.includes(signing)) {
+    throw new Error(`Unknown CDN signing mode: ${signing}`);
+  }
+
+  const expiresIn = Number(config.expiresIn ?? env.CDN_URL_EXPIRES_IN ?? DEFAULT_EXPIRES_IN);
+  if (!(expiresIn > 0)) {
+    throw new Error(`Invalid CDN signature lifetime: ${expiresIn}`);
+  }
+
+  const cdn = {
+    urlTemplate: config.urlTemplate || env.CDN_URL_TEMPLATE || null,
+    signing,
+    expiresIn,
+    keyPairId: null,
+    privateKey: null,
+  };
+  if (signing !== 'none') {
+    cdn.keyPairId = env.CDN_KEY_PAIR_ID;
+    cdn.privateKey = readPrivateKey(env);
+    if (!cdn.keyPairId || !cdn.privateKey) {
+      throw new Error('Signed CDN URLs require CDN_KEY_PAIR_ID and CDN_PRIVATE_KEY or CDN_PRIVATE_KEY_FILE');
+    }
+  }
+  return cdn;
+};
+
+// URL of a published object
+const objectUrl = (cdn, storage, key) => {
+  const template = cdn.urlTemplate || (storage.type === 's3' ? LEGACY_URL_TEMPLATE : null);
+  if (!template) {
+    return storage.locate(key);
+  }
+  return template
+    .replace(/\{bucket\}/g, () => storage.bucket || '')
+    .replace(/\{key\}/g, () => key.split('/').map(encodeURIComponent).join('/'));
+};
+
+const expiryOf = cdn => Math.floor(Date.now() / 1000) + cdn.expiresIn;
+
+const signPolicy = (cdn, policy) => cloudFrontBase64(createSign('RSA-SHA1').update(policy).sign(cdn.privateKey));
+
+// CloudFront policies are compared byte for byte, so they are serialized without whitespace
+const buildPolicy = (resource, expires) => JSON.stringify({
+  Statement: [{ Resource: resource, Condition: { DateLessThan: { 'AWS:EpochTime': expires } } }],
+});
+
+// The URL with a canned policy signature when signing URLs, unchanged otherwise
+const signUrl = (cdn, url) => {
+  if (cdn.signing !== 'url' || !/^https?:\/\//.test(url)) {
+    return url;
+  }
+  const expires = expiryOf(cdn);
+  const signature = signPolicy(cdn, buildPolicy(url, expires));
+  const separator = url.includes('?') ? '&' : '?';
+  return `${url}${separator}Expires=${expires}&Signature=${signature}&Key-Pair-Id=${cdn.keyPairId}`;
+};
+
+/**
+ * Signed cookies granting access to every URL matching resource (which may
+ * end in '*'), or null without signing. Streams need them in both signing
+ * modes. Returns the cookie values and when they expire:
+ * { 'CloudFront-Policy', 'CloudFront-Signature', 'CloudFront-Key-Pair-Id', expiresAt }
+ */
+const signCookies = (cdn, resource) => {
+  if (cdn.signing === 'none') {
+    return null;
+  }
+  const expires = expiryOf(cdn);
+  const policy = buildPolicy(resource, expires);
+  return {
+    'CloudFront-Policy': cloudFrontBase64(policy),
+    'CloudFront-Signature': signPolicy(cdn, policy),
+    'CloudFront-Key-Pair-Id': cdn.keyPairId,
+    expiresAt: new Date(expires * 1000).toISOString(),
+  };
+};
+
+export { resolveCdn, objectUrl, signUrl, signCookies };
@@ -0,0 +1,132 @@
+import { createHash } from 'crypto';
+import { createReadStream, existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+
+// Job checkpoints make re-running the same s3Key resumable. The checkpoint
+// records which renditions (and, in chunked mode, which chunks) finished
+// encoding, whether packaging finished, and the checksum of every object
+// already uploaded. It lives next to the job's work directory and is mirrored
+// to the output storage so a fresh machine can pick it up. A checkpoint written
+// for different job settings is ignored, and the output version it was
+// uploading is reported as abandoned.
+
+const CHECKPOINT_VERSION = 1;
+const UPLOAD_SAVE_INTERVAL = 50;
+
+const sha256 = value => createHash('sha256').update(value).digest('hex');
+
+// Streamed through the hash, so a long source or segment is never held in memory whole
+const fileChecksum = filePath => new Promise((resolve, reject) => {
+  const hash = createHash('sha256');
+  createReadStream(filePath)
+    .on('data', chunk => hash.update(chunk))
+    .on('end', () => resolve(hash.digest('hex')))
+    .on('error', reject);
+});
+
+// Settings that change the encoded output; anything else may differ between runs
+const fingerprintJob = settings => sha256(JSON.stringify(settings));
+
+const emptyState = fingerprint => ({
+  version: CHECKPOINT_VERSION,
+  fingerprint,
+  downloaded: false,
+  renditions: {},
+  // '<rendition>/<chunk>' of finished chunks in chunked mode, until the rendition is stitched
+  chunks: {},
+  encryptionStarted: false,
+  packaged: null,
+  outputVersion: null,
+  uploads: {},
+  result: null,
+  updatedAt: null,
+});
+
+const readRemote = async (storage, key) => {
+  const downloadPath = join(tmpdir(), `checkpoint-${sha256(key).slice(0, 16)}.json`);
+  try {
+    await storage.getFile(key, downloadPath);
+    return JSON.parse(readFileSync(downloadPath, 'utf8'));
+  } catch (error) {
+    console.log(`No checkpoint at ${storage.locate(key)}: ${error.message}`);
+    return null;
+  } finally {
+    if (existsSync(downloadPath)) unlinkSync(downloadPath);
+  }
+};
+
+/**
+ * Loads (or starts) the checkpoint of a job.
+ *
+ * options.storage:     output storage holding the mirrored checkpoint
+ * options.key:         key of the mirrored checkpoint
+ * options.localPath:   checkpoint file in the job's work directory
+ * options.fingerprint: fingerprintJob() of the current settings
+ * options.force:       ignore any existing checkpoint
+ *
+ * abandoned is { version, keys } when an ignored checkpoint had uploaded
+ * objects into an output version that no later run will resume.
+ */
+const loadCheckpoint = async ({ storage, key, localPath, fingerprint, force = false }) => {
+  let state = existsSync(localPath)
+    ? JSON.parse(readFileSync(localPath, 'utf8'))
+    : await readRemote(storage, key);
+
+  let abandoned = null;
+  const discard = reason => {
+    console.log(reason);
+    if (state.outputVersion) {
+      abandoned = { version: state.outputVersion, keys: Object.keys(state.uploads || {}) };
+    }
+    state = null;
+  };
+  if (state && force) {
+    discard('Ignoring the existing checkpoint, starting from scratch');
+  } else if (state && (state.version !== CHECKPOINT_VERSION || state.fingerprint !== fingerprint)) {
+    discard('Checkpoint was written for different job settings, starting from scratch');
+  }
+  if (state && state.encryptionStarted && !state.packaged) {
+    // Encryption rewrites segments in place, so half-encrypted renditions cannot be reused
+    console.log('Previous run failed while encrypting, re-encoding every rendition');
+    state.renditions = {};
+    state.encryptionStarted = false;
+  }
+  const resumed = Boolean(state);
+  if (resumed) {
+    console.log(`Resuming from checkpoint: ${Object.keys(state.renditions).length} renditions finished, packaged: ${Boolean(state.packaged)}, ${Object.keys(state.uploads).length} objects uploaded`);
+  }
+  state = state || emptyState(fingerprint);
+
+  // Local saves are cheap and happen on every change; the mirror is written on demand
+  const save = async ({ remote = false } = {}) => {
+    state.updatedAt = new Date().toISOString();
+    mkdirSync(dirname(localPath), { recursive: true });
+    writeFileSync(localPath, JSON.stringify(state, null, 2));
+    if (remote) {
+      await storage.putFile(key, localPath);
+    }
+  };
+
+  const isRenditionDone = name => Boolean(state.renditions[name]);
+
+  const markRendition = name => {
+    state.renditions[name] = { finishedAt: new Date().toISOString() };
+    return save();
+  };
+
+  // Objects whose stored checksum matches the local file are not uploaded again
+  const isUploaded = (objectKey, checksum) => state.uploads[objectKey] === checksum;
+
+  // Saved every few objects: rewriting the whole checkpoint per segment adds up on long assets
+  let unsavedUploads = 0;
+  const markUploaded = (objectKey, checksum) => {
+    state.uploads[objectKey] = checksum;
+    unsavedUploads = (unsavedUploads + 1) % UPLOAD_SAVE_INTERVAL;
+    return unsavedUploads === 0 ? save() : Promise.resolve();
+  };
+
+  return { state, resumed, abandoned, save, isRenditionDone, markRendition, isUploaded, markUploaded };
+};
+
+export { fileChecksum, fingerprintJob, loadCheckpoint };
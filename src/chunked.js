@@ -0,0 +1,202 @@
+import { existsSync, mkdirSync, renameSync, rmSync, writeFileSync } from 'fs';
+import { cpus } from 'os';
+import { join } from 'path';
+import { SEGMENT_DURATION, generateHlsStream } from './encode.js';
+import { parseMediaPlaylist } from './playlist.js';
+
+const DEFAULT_CHUNK_DURATION = 120;
+const DEFAULT_RETRIES = 2;
+
+/**
+ * Splits [0, duration) into chunks whose length is a whole number of segments,
+ * so every chunk starts on a segment (and therefore keyframe) boundary.
+ */
+const planChunks = (duration, chunkDuration = DEFAULT_CHUNK_DURATION, segmentDuration = SEGMENT_DURATION) => {
+  if (!(duration > 0)) {
+    throw new Error('Chunked encoding needs a known source duration');
+  }
+  const segmentsPerChunk = Math.max(1, Math.round(chunkDuration / segmentDuration));
+  const alignedDuration = segmentsPerChunk * segmentDuration;
+
+  const chunks = [];
+  for (let start = 0, index = 0; start < duration; start += alignedDuration, index++) {
+    // Fold a tail shorter than a second into the last chunk instead of encoding it alone
+    const isLast = duration - start - alignedDuration < 1;
+    chunks.push({ index, start, duration: isLast ? duration - start : alignedDuration });
+    if (isLast) break;
+  }
+  return chunks;
+};
+
+// Runs async task factories with at most `limit` in flight. After the first
+// failure no new tasks are started, running ones are awaited, then it throws.
+const runWithConcurrency = async (tasks, limit) => {
+  const results = new Array(tasks.length);
+  let next = 0;
+  let failure = null;
+
+  const worker = async () => {
+    while (next < tasks.length && !failure) {
+      const current = next++;
+      try {
+        results[current] = await tasks[current]();
+      } catch (error) {
+        failure = failure || error;
+      }
+    }
+  };
+
+  await Promise.all(Array.from({ length: Math.min(limit, tasks.length) }, worker));
+  if (failure) {
+    throw failure;
+  }
+  return results;
+};
+
+const withRetries = async (label, retries, fn) => {
+  for (let attempt = 0; ; attempt++) {
+    try {
+      return await fn();
+    } catch (error) {
+      if (attempt >= retries) {
+        throw new Error(`${label} failed after ${attempt + 1} attempts: ${error.message}`);
+      }
+      console.warn(`${label} failed (attempt ${attempt + 1}/${retries + 1}), retrying: ${error.message}`);
+    }
+  }
+};
+
+const chunkName = chunk => `chunk_${String(chunk.index).padStart(3, '0')}`;
+
+// A chunk encoded by an earlier run is reused only while its playlist and every file it lists are there
+const isChunkComplete = chunkDir => {
+  const playlistPath = join(chunkDir, 'index.m3u8');
+  if (!existsSync(playlistPath)) {
+    return false;
+  }
+  const { segments } = parseMediaPlaylist(playlistPath);
+  return segments.length > 0
+    && segments.every(segment => existsSync(join(chunkDir, segment.uri)) && (!segment.init || existsSync(join(chunkDir, segment.init))));
+};
+
+/**
+ * Moves every chunk's init and media segments into outputDir/<rung> under a
+ * continuous numbering and writes one VOD playlist for the rendition.
+ */
+const stitchRendition = (workDir, outputDir, rung, chunks) => {
+  const renditionDir = join(outputDir, rung.name);
+  mkdirSync(renditionDir, { recursive: true });
+
+  const entries = [];
+  let sequence = 0;
+
+  chunks.forEach(chunk => {
+    const chunkDir = join(workDir, rung.name, chunkName(chunk));
+    const { segments } = parseMediaPlaylist(join(chunkDir, 'index.m3u8'));
+    const init = segments[0].init;
+
+    const initName = `init_${String(chunk.index).padStart(3, '0')}.mp4`;
+    renameSync(join(chunkDir, init), join(renditionDir, initName));
+    entries.push(`#EXT-X-MAP:URI="${initName}"`);
+
+    segments.forEach(segment => {
+      const segmentName = `segment_${String(sequence++).padStart(5, '0')}.m4s`;
+      renameSync(join(chunkDir, segment.uri), join(renditionDir, segmentName));
+      entries.push(`#EXTINF:${segment.duration.toFixed(6)},`, segmentName);
+    });
+  });
+
+  const durations = entries
+    .filter(entry => entry.startsWith('#EXTINF:'))
+    .map(entry => parseFloat(entry.slice('#EXTINF:'.length)));
+
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    `#EXT-X-TARGETDURATION:${Math.ceil(Math.max(...durations))}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    ...entries,
+    '#EXT-X-ENDLIST',
+  ];
+
+  writeFileSync(join(renditionDir, 'index.m3u8'), `${playlist.join('\n')}\n`);
+  console.log(`Stitched ${sequence} segments from ${chunks.length} chunks into ${renditionDir}/index.m3u8`);
+};
+
+/**
+ * Encodes the ladder as independent time chunks, `workers` at a time. A failed
+ * chunk is retried on its own; finished chunks are never re-encoded. Chunks
+ * live in workDir until every rendition is stitched, so a failed run leaves
+ * its finished chunks for the next one.
+ *
+ * options.duration:      source duration in seconds
+ * options.rotation:      source rotation
+ * options.chunkDuration: target chunk length in seconds (rounded to whole segments)
+ * options.segmentDuration: segment length in seconds the rungs are keyframed on
+ * options.workers:       concurrent ffmpeg processes (defaults to the CPU count)
+ * options.retries:       extra attempts per chunk
+ * options.workDir:       directory the chunks are encoded into (default outputDir/.chunks)
+ * options.isChunkDone:   (rung name, chunk name) => whether an earlier run finished the chunk
+ * options.onChunkDone:   async (rung name, chunk name) called when a chunk is finished
+ * options.onProgress:    called with (rung name, percent) as chunks finish
+ */
+const generateChunkedHls = async (inputFilePath, outputDir, rungs, options) => {
+  const {
+    duration,
+    rotation = 0,
+    chunkDuration = DEFAULT_CHUNK_DURATION,
+    segmentDuration = SEGMENT_DURATION,
+    workers = cpus().length,
+    retries = DEFAULT_RETRIES,
+    workDir = join(outputDir, '.chunks'),
+    isChunkDone = () => false,
+    onChunkDone = null,
+    onProgress = null,
+  } = options;
+
+  const chunks = planChunks(duration, chunkDuration, segmentDuration);
+  console.log(`Encoding ${chunks.length} chunks x ${rungs.length} renditions with ${workers} workers`);
+
+  // Chunk percentages mean little with input seeking, so progress is the share of finished chunk time
+  const encodedSeconds = Object.fromEntries(rungs.map(rung => [rung.name, 0]));
+  const reportChunk = (rung, chunk) => {
+    encodedSeconds[rung.name] += chunk.duration;
+    if (onProgress) onProgress(rung.name, (encodedSeconds[rung.name] / duration) * 100);
+  };
+
+  const tasks = [];
+  let reused = 0;
+  rungs.forEach(rung => {
+    chunks.forEach(chunk => {
+      const name = chunkName(chunk);
+      const chunkDir = join(workDir, rung.name, name);
+      if (isChunkDone(rung.name, name) && isChunkComplete(chunkDir)) {
+        reused++;
+        reportChunk(rung, chunk);
+        return;
+      }
+      const label = `Chunk ${chunk.index} of ${rung.name}`;
+      tasks.push(() => withRetries(label, retries, () => {
+        const window = { start: chunk.start, duration: chunk.duration, name };
+        // Drop partial output from a failed attempt before encoding again
+        if (existsSync(chunkDir)) {
+          rmSync(chunkDir, { recursive: true, force: true });
+        }
+        return generateHlsStream(inputFilePath, join(workDir, rung.name), rung, rotation, window);
+      })
+        .then(() => onChunkDone && onChunkDone(rung.name, name))
+        .then(() => reportChunk(rung, chunk)));
+    });
+  });
+  if (reused > 0) {
+    console.log(`Reusing ${reused} chunks finished by a previous run`);
+  }
+
+  await runWithConcurrency(tasks, Math.max(1, workers));
+  rungs.forEach(rung => stitchRendition(workDir, outputDir, rung, chunks));
+  rmSync(workDir, { recursive: true, force: true });
+};
+
+export { planChunks, generateChunkedHls };
@@ -0,0 +1,205 @@
+import { readFileSync } from 'fs';
+
+// Minimal MP4 box reading for the fMP4 output: RFC 6381 codec strings (e.g.
+// avc1.64001f, hvc1.1.6.L93.B0, av01.0.08M.08, mp4a.40.2) from the sample descriptions of an init segment, so
+// manifests describe what was actually encoded rather than what was asked for,
+// and track fragment parsing for media segments.
+
+const CONTAINER_BOXES = ['moov', 'trak', 'mdia', 'minf', 'stbl'];
+
+// Child boxes of a sample entry start after its fixed fields
+const VISUAL_SAMPLE_ENTRY_SIZE = 78;
+const AUDIO_SAMPLE_ENTRY_SIZE = 28;
+
+const hex2 = value => value.toString(16).padStart(2, '0');
+
+const readBoxes = (buffer, start, end) => {
+  const boxes = [];
+  let offset = start;
+  while (offset + 8 <= end) {
+    let size = buffer.readUInt32BE(offset);
+    const type = buffer.toString('latin1', offset + 4, offset + 8);
+    let headerSize = 8;
+    if (size === 1) {
+      size = Number(buffer.readBigUInt64BE(offset + 8));
+      headerSize = 16;
+    } else if (size === 0) {
+      size = end - offset;
+    }
+    if (size < headerSize || offset + size > end) {
+      break;
+    }
+    boxes.push({ type, start: offset, dataStart: offset + headerSize, end: offset + size });
+    offset += size;
+  }
+  return boxes;
+};
+
+// Depth-first search for every box of `type` under the container boxes
+const findBoxes = (buffer, type, start = 0, end = buffer.length) => {
+  const found = [];
+  readBoxes(buffer, start, end).forEach(box => {
+    if (box.type === type) {
+      found.push(box);
+    } else if (CONTAINER_BOXES.includes(box.type)) {
+      found.push(...findBoxes(buffer, type, box.dataStart, box.end));
+    }
+  });
+  return found;
+};
+
+// Sample sizes and the data offset field of a track run (trun) box
+const readTrun = (buffer, trun) => {
+  const flags = buffer.readUInt32BE(trun.dataStart) & 0xffffff;
+  const sampleCount = buffer.readUInt32BE(trun.dataStart + 4);
+  let cursor = trun.dataStart + 8;
+
+  const dataOffsetPosition = flags & 0x1 ? cursor : null;
+  if (flags & 0x1) cursor += 4;
+  if (flags & 0x4) cursor += 4;
+
+  const sizes = [];
+  for (let i = 0; i < sampleCount; i++) {
+    if (flags & 0x100) cursor += 4;
+    if (flags & 0x200) {
+      sizes.push(buffer.readUInt32BE(cursor));
+      cursor += 4;
+    } else {
+      sizes.push(null);
+    }
+    if (flags & 0x400) cursor += 4;
+    if (flags & 0x800) cursor += 4;
+  }
+
+  return { sampleCount, sizes, dataOffsetPosition };
+};
+
+// Base data offset and default sample size of a track fragment header (tfhd)
+const readTfhd = (buffer, tfhd) => {
+  const flags = buffer.readUInt32BE(tfhd.dataStart) & 0xffffff;
+  let cursor = tfhd.dataStart + 8; // version/flags and track_ID
+
+  const baseDataOffsetPosition = flags & 0x1 ? cursor : null;
+  if (flags & 0x1) cursor += 8;
+  if (flags & 0x2) cursor += 4;
+  if (flags & 0x8) cursor += 4;
+  const defaultSampleSize = flags & 0x10 ? buffer.readUInt32BE(cursor) : null;
+
+  return { baseDataOffsetPosition, defaultSampleSize };
+};
+
+// Reads an MPEG-4 descriptor header: tag byte plus a variable length size
+const readDescriptor = (buffer, offset) => {
+  const tag = buffer[offset];
+  let size = 0;
+  let cursor = offset + 1;
+  for (let i = 0; i < 4; i++) {
+    const byte = buffer[cursor++];
+    size = (size << 7) | (byte & 0x7f);
+    if ((byte & 0x80) === 0) break;
+  }
+  return { tag, dataStart: cursor, end: cursor + size };
+};
+
+const describeAvc = (buffer, entry) => {
+  const [avcC] = readBoxes(buffer, entry.dataStart + VISUAL_SAMPLE_ENTRY_SIZE, entry.end)
+    .filter(box => box.type === 'avcC');
+  if (!avcC) return entry.type;
+  const profile = buffer[avcC.dataStart + 1];
+  const compatibility = buffer[avcC.dataStart + 2];
+  const level = buffer[avcC.dataStart + 3];
+  return `${entry.type}.${hex2(profile)}${hex2(compatibility)}${hex2(level)}`;
+};
+
+// hvc1.<space><profile>.<compatibility flags, bit reversed>.<tier><level>.<constraint bytes>
+const describeHevc = (buffer, entry) => {
+  const [hvcC] = readBoxes(buffer, entry.dataStart + VISUAL_SAMPLE_ENTRY_SIZE, entry.end)
+    .filter(box => box.type === 'hvcC');
+  if (!hvcC) return entry.type;
+  const start = hvcC.dataStart;
+  const profileSpace = buffer[start + 1] >> 6;
+  const tier = (buffer[start + 1] >> 5) & 0x1;
+  const profile = buffer[start + 1] & 0x1f;
+
+  const flags = buffer.readUInt32BE(start + 2);
+  let reversed = 0;
+  for (let bit = 0; bit < 32; bit++) {
+    reversed = (reversed << 1) | ((flags >>> bit) & 0x1);
+  }
+
+  const constraints = [...buffer.subarray(start + 6, start + 12)];
+  while (constraints.length > 0 && constraints[constraints.length - 1] === 0) {
+    constraints.pop();
+  }
+  const level = buffer[start + 12];
+
+  return [
+    entry.type,
+    `${['', 'A', 'B', 'C'][profileSpace]}${profile}`,
+    (reversed >>> 0).toString(16).toUpperCase(),
+    `${tier ? 'H' : 'L'}${level}`,
+    ...constraints.map(byte => byte.toString(16).toUpperCase()),
+  ].join('.');
+};
+
+// av01.<profile>.<level><tier>.<bit depth>
+const describeAv1 = (buffer, entry) => {
+  const [av1C] = readBoxes(buffer, entry.dataStart + VISUAL_SAMPLE_ENTRY_SIZE, entry.end)
+    .filter(box => box.type === 'av1C');
+  if (!av1C) return entry.type;
+  const profile = buffer[av1C.dataStart + 1] >> 5;
+  const level = buffer[av1C.dataStart + 1] & 0x1f;
+  const flags = buffer[av1C.dataStart + 2];
+  const tier = flags >> 7;
+  const highBitDepth = (flags >> 6) & 0x1;
+  const twelveBit = (flags >> 5) & 0x1;
+  const bitDepth = highBitDepth ? (twelveBit ? 12 : 10) : 8;
+  return `${entry.type}.${profile}.${String(level).padStart(2, '0')}${tier ? 'H' : 'M'}.${String(bitDepth).padStart(2, '0')}`;
+};
+
+const describeMp4a = (buffer, entry) => {
+  const [esds] = readBoxes(buffer, entry.dataStart + AUDIO_SAMPLE_ENTRY_SIZE, entry.end)
+    .filter(box => box.type === 'esds');
+  if (!esds) return 'mp4a.40.2';
+
+  // esds is a full box: skip version and flags, then walk ES -> DecoderConfig -> DecoderSpecificInfo
+  const es = readDescriptor(buffer, esds.dataStart + 4);
+  const esFlags = buffer[es.dataStart + 2];
+  let offset = es.dataStart + 3;
+  if (esFlags & 0x80) offset += 2; // dependsOn_ES_ID
+  if (esFlags & 0x40) offset += 1 + buffer[offset]; // URL
+  if (esFlags & 0x20) offset += 2; // OCR_ES_ID
+
+  const decoderConfig = readDescriptor(buffer, offset);
+  const objectType = buffer[decoderConfig.dataStart];
+  const specificInfo = readDescriptor(buffer, decoderConfig.dataStart + 13);
+  const audioObjectType = specificInfo.tag === 0x05 ? buffer[specificInfo.dataStart] >> 3 : 2;
+
+  return `mp4a.${hex2(objectType)}.${audioObjectType}`;
+};
+
+const SAMPLE_ENTRY_DESCRIBERS = {
+  avc1: describeAvc,
+  avc3: describeAvc,
+  hvc1: describeHevc,
+  hev1: describeHevc,
+  av01: describeAv1,
+  mp4a: describeMp4a,
+};
+
+/**
+ * Returns the codec string of every track in an init segment, e.g.
+ * ['avc1.64001f'] or ['mp4a.40.2'].
+ */
+const readInitSegmentCodecs = initPath => {
+  const buffer = readFileSync(initPath);
+  return findBoxes(buffer, 'stsd').map(stsd => {
+    // stsd is a full box: version/flags and entry_count precede the first sample entry
+    const [entry] = readBoxes(buffer, stsd.dataStart + 8, stsd.end);
+    if (!entry) return null;
+    const describe = SAMPLE_ENTRY_DESCRIBERS[entry.type];
+    return describe ? describe(buffer, entry) : entry.type;
+  }).filter(Boolean);
+};
+
+export { findBoxes, readBoxes, readTfhd, readTrun, readInitSegmentCodecs };
@@ -0,0 +1,195 @@
+import { existsSync, readdirSync, statSync } from 'fs';
+import { dirname, join, relative } from 'path';
+import { parseMasterPlaylist, parseMediaPlaylist } from './playlist.js';
+import { measurePlaylist } from './master.js';
+
+// HLS conformance checks over a finished output directory, run before anything
+// is uploaded. Every playlist reachable from the master playlists (and every
+// rendition directory) is parsed and checked against the files on disk:
+// segments and init segments exist and are not empty, segment durations fit
+// EXT-X-TARGETDURATION, measured peaks fit the declared BANDWIDTH and every
+// rendition covers the same duration.
+
+const MASTER_PLAYLISTS = ['master.m3u8', 'low_master.m3u8'];
+
+// Measured peaks may exceed BANDWIDTH by this share (e.g. AES-128 padding)
+const BANDWIDTH_TOLERANCE = 0.1;
+
+// Seconds renditions may differ in total duration (AAC priming, last frame timing)
+const DURATION_TOLERANCE = 1;
+
+const ERROR_CODES = {
+  NO_MASTER_PLAYLIST: 'NO_MASTER_PLAYLIST',
+  NO_VARIANTS: 'NO_VARIANTS',
+  MISSING_PLAYLIST: 'MISSING_PLAYLIST',
+  EMPTY_PLAYLIST: 'EMPTY_PLAYLIST',
+  MISSING_ENDLIST: 'MISSING_ENDLIST',
+  MISSING_INIT_SEGMENT: 'MISSING_INIT_SEGMENT',
+  MISSING_SEGMENT: 'MISSING_SEGMENT',
+  EMPTY_SEGMENT: 'EMPTY_SEGMENT',
+  INVALID_BYTE_RANGE: 'INVALID_BYTE_RANGE',
+  TARGET_DURATION_EXCEEDED: 'TARGET_DURATION_EXCEEDED',
+  MISSING_BANDWIDTH: 'MISSING_BANDWIDTH',
+  BANDWIDTH_EXCEEDED: 'BANDWIDTH_EXCEEDED',
+  DURATION_MISMATCH: 'DURATION_MISMATCH',
+};
+
+// Thrown when the output fails the checks; carries every violation and the report
+class ConformanceError extends Error {
+  constructor(report) {
+    super(`Output failed ${report.errors.length} conformance checks: ${report.errors.slice(0, 5).map(error => error.message).join('; ')}`);
+    this.name = 'ConformanceError';
+    this.code = 'CONFORMANCE_FAILED';
+    this.errors = report.errors;
+    this.report = report;
+  }
+}
+
+const fileSize = filePath => (existsSync(filePath) ? statSync(filePath).size : null);
+
+// Rendition directories are named after the rendition: <name>/index.m3u8
+const renditionOf = uri => (uri.includes('/') ? uri.slice(0, uri.indexOf('/')) : null);
+
+/**
+ * Checks an output directory. Returns the report:
+ * { valid, errors: [{ code, file, rendition, message }], playlists, segments, durations }
+ *
+ * options.bandwidthTolerance: share a measured peak may exceed BANDWIDTH (default 0.1)
+ * options.durationTolerance:  seconds renditions may differ in duration (default 1)
+ */
+const checkOutput = (outputDir, options = {}) => {
+  const { bandwidthTolerance = BANDWIDTH_TOLERANCE, durationTolerance = DURATION_TOLERANCE } = options;
+  const report = { valid: false, errors: [], playlists: 0, segments: 0, durations: {} };
+  const fail = (code, file, message) => report.errors.push({ code, file, rendition: renditionOf(file), message });
+
+  // uri -> true when the media playlist passed its own checks
+  const mediaResults = new Map();
+
+  const checkMediaPlaylist = (uri, { timed = true } = {}) => {
+    if (mediaResults.has(uri)) return mediaResults.get(uri);
+    const playlistPath = join(outputDir, uri);
+    const errorCount = report.errors.length;
+
+    if (!existsSync(playlistPath)) {
+      fail(ERROR_CODES.MISSING_PLAYLIST, uri, `${uri} is referenced but missing`);
+      mediaResults.set(uri, false);
+      return false;
+    }
+
+    report.playlists += 1;
+    const playlist = parseMediaPlaylist(playlistPath);
+    const baseDir = dirname(playlistPath);
+    if (playlist.segments.length === 0) {
+      fail(ERROR_CODES.EMPTY_PLAYLIST, uri, `${uri} lists no segments`);
+    }
+    if (!playlist.endList) {
+      fail(ERROR_CODES.MISSING_ENDLIST, uri, `${uri} has no EXT-X-ENDLIST`);
+    }
+
+    const checkedInits = new Set();
+    let duration = 0;
+    playlist.segments.forEach(segment => {
+      report.segments += 1;
+      duration += segment.duration;
+      const segmentFile = relative(outputDir, join(baseDir, segment.uri));
+
+      if (segment.init && !checkedInits.has(segment.init)) {
+        checkedInits.add(segment.init);
+        if (!(fileSize(join(baseDir, segment.init)) > 0)) {
+          fail(ERROR_CODES.MISSING_INIT_SEGMENT, uri, `Init segment ${segment.init} of ${uri} is missing or empty`);
+        }
+      }
+
+      const size = fileSize(join(baseDir, segment.uri));
+      if (size === null) {
+        fail(ERROR_CODES.MISSING_SEGMENT, segmentFile, `Segment ${segmentFile} of ${uri} is missing`);
+      } else if (size === 0) {
+        fail(ERROR_CODES.EMPTY_SEGMENT, segmentFile, `Segment ${segmentFile} of ${uri} is empty`);
+      } else if (segment.byteRange && segment.byteRange.offset + segment.byteRange.length > size) {
+        fail(ERROR_CODES.INVALID_BYTE_RANGE, segmentFile, `Byte range ${segment.byteRange.length}@${segment.byteRange.offset} of ${uri} runs past the end of ${segmentFile}`);
+      }
+
+      // EXTINF rounded to the nearest integer must not exceed the target duration
+      if (Math.round(segment.duration) > playlist.targetDuration) {
+        fail(ERROR_CODES.TARGET_DURATION_EXCEEDED, segmentFile, `Segment ${segmentFile} lasts ${segment.duration}s, above the target duration ${playlist.targetDuration}s of ${uri}`);
+      }
+    });
+
+    if (timed) {
+      report.durations[uri] = Math.round(duration * 1000) / 1000;
+    }
+    const passed = report.errors.length === errorCount;
+    mediaResults.set(uri, passed);
+    return passed;
+  };
+
+  const masters = MASTER_PLAYLISTS.filter(file => existsSync(join(outputDir, file)));
+  if (masters.length === 0) {
+    fail(ERROR_CODES.NO_MASTER_PLAYLIST, 'master.m3u8', 'No master playlist found');
+  }
+
+  masters.forEach(masterFile => {
+    report.playlists += 1;
+    const master = parseMasterPlaylist(join(outputDir, masterFile));
+    if (master.variants.length === 0) {
+      fail(ERROR_CODES.NO_VARIANTS, masterFile, `${masterFile} lists no variants`);
+    }
+
+    const mediaPassed = master.media
+      .filter(media => media.URI)
+      .map(media => ({ media, passed: checkMediaPlaylist(media.URI) }));
+    master.iframes.forEach(iframe => checkMediaPlaylist(iframe.URI, { timed: false }));
+
+    // Audio is fetched next to every variant, so the heaviest track of its group counts
+    const audioPeaks = {};
+    mediaPassed
+      .filter(({ media, passed }) => passed && media.TYPE === 'AUDIO')
+      .forEach(({ media }) => {
+        const { peakBandwidth } = measurePlaylist(join(outputDir, media.URI));
+        audioPeaks[media['GROUP-ID']] = Math.max(audioPeaks[media['GROUP-ID']] || 0, peakBandwidth);
+      });
+
+    master.variants.forEach(variant => {
+      if (!checkMediaPlaylist(variant.uri)) return;
+      const declared = parseInt(variant.attributes.BANDWIDTH, 10);
+      const measured = measurePlaylist(join(outputDir, variant.uri)).peakBandwidth
+        + (variant.attributes.AUDIO ? audioPeaks[variant.attributes.AUDIO] || 0 : 0);
+      if (!(declared > 0)) {
+        fail(ERROR_CODES.MISSING_BANDWIDTH, variant.uri, `${masterFile} declares no BANDWIDTH for ${variant.uri}`);
+      } else if (measured > declared * (1 + bandwidthTolerance)) {
+        fail(ERROR_CODES.BANDWIDTH_EXCEEDED, variant.uri, `${variant.uri} peaks at ${measured} bps, above the BANDWIDTH ${declared} declared in ${masterFile}`);
+      }
+    });
+  });
+
+  // Renditions left out of the masters are still published, so they are checked too
+  readdirSync(outputDir, { withFileTypes: true })
+    .filter(entry => entry.isDirectory() && !entry.name.startsWith('.') && existsSync(join(outputDir, entry.name, 'index.m3u8')))
+    .forEach(entry => checkMediaPlaylist(`${entry.name}/index.m3u8`));
+
+  const durations = Object.entries(report.durations);
+  if (durations.length > 1) {
+    const longest = Math.max(...durations.map(([, duration]) => duration));
+    durations
+      .filter(([, duration]) => longest - duration > durationTolerance)
+      .forEach(([uri, duration]) => {
+        fail(ERROR_CODES.DURATION_MISMATCH, uri, `${uri} lasts ${duration}s while the longest rendition lasts ${longest}s`);
+      });
+  }
+
+  report.valid = report.errors.length === 0;
+  return report;
+};
+
+// Runs checkOutput and throws ConformanceError when anything fails
+const assertConformance = (outputDir, options) => {
+  const report = checkOutput(outputDir, options);
+  report.errors.forEach(error => console.error(`Conformance ${error.code}: ${error.message}`));
+  if (!report.valid) {
+    throw new ConformanceError(report);
+  }
+  console.log(`Output conforms: ${report.playlists} playlists, ${report.segments} segments checked`);
+  return report;
+};
+
+export { ERROR_CODES, ConformanceError, checkOutput, assertConformance };
@@ -0,0 +1,196 @@
+import { writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseMediaPlaylist } from './playlist.js';
+import { readInitSegmentCodecs } from './codecs.js';
+
+// MPEG-DASH manifest over the fMP4 segments already written for HLS. Nothing is
+// re-encoded or copied: every Representation points at <rendition>/segment_*.m4s
+// through a SegmentTemplate built from the rendition's HLS playlist.
+
+const TIMESCALE = 1000;
+
+const isoDuration = seconds => `PT${seconds.toFixed(3)}S`;
+
+const escapeXml = value => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const attributes = values => Object.entries(values)
+  .filter(([, value]) => value !== null && value !== undefined)
+  .map(([key, value]) => `${key}="${escapeXml(value)}"`)
+  .join(' ');
+
+// Reads a rendition playlist into timed segments: start and duration in seconds
+const readRendition = (outputDir, name) => {
+  const { segments } = parseMediaPlaylist(join(outputDir, name, 'index.m3u8'));
+  let start = 0;
+  return segments.map(segment => {
+    const timed = { ...segment, start };
+    start += segment.duration;
+    return timed;
+  });
+};
+
+// Period boundaries are where the video init segment changes (chunked encodes)
+const planPeriods = (videoSegments, duration) => {
+  const starts = videoSegments
+    .filter((segment, index) => index === 0 || segment.init !== videoSegments[index - 1].init)
+    .map(segment => segment.start);
+
+  return starts.map((start, index) => ({
+    id: `${index}`,
+    start,
+    end: index + 1 < starts.length ? starts[index + 1] : duration,
+  }));
+};
+
+// Segment names look like segment_007.m4s; the template reproduces the padding
+const buildSegmentTemplate = (name, segments, period) => {
+  const first = segments[0];
+  const match = first.uri.match(/^(.*?)(\d+)(\.[^.]+)$/);
+  if (!match) {
+    throw new Error(`Cannot derive a DASH template from segment name ${first.uri}`);
+  }
+  const [, prefix, digits, suffix] = match;
+
+  const timeline = [];
+  segments.forEach(segment => {
+    const t = Math.round(segment.start * TIMESCALE);
+    const d = Math.round((segment.start + segment.duration) * TIMESCALE) - t;
+    const last = timeline[timeline.length - 1];
+    if (last && last.d === d && last.t + last.d * (last.r + 1) === t) {
+      last.r += 1;
+    } else {
+      timeline.push({ t, d, r: 0 });
+    }
+  });
+
+  const entries = timeline.map(({ t, d, r }) => `<S ${attributes({ t, d, r: r > 0 ? r : null })}/>`);
+  const template = attributes({
+    timescale: TIMESCALE,
+    presentationTimeOffset: Math.round(period.start * TIMESCALE),
+    initialization: `${name}/${first.init}`,
+    media: `${name}/${prefix}$Number%0${digits.length}d$${suffix}`,
+    startNumber: parseInt(digits, 10),
+  });
+
+  return [
+    `<SegmentTemplate ${template}>`,
+    '  <SegmentTimeline>',
+    ...entries.map(entry => `    ${entry}`),
+    '  </SegmentTimeline>',
+    '</SegmentTemplate>',
+  ];
+};
+
+// Segments of a rendition that start inside the period
+const segmentsInPeriod = (segments, period) => segments.filter(segment =>
+  segment.start >= period.start - 0.5 && segment.start < period.end - 0.5);
+
+const indent = (lines, depth) => lines.map(line => `${'  '.repeat(depth)}${line}`);
+
+/**
+ * Writes outputDir/manifest.mpd describing the renditions already encoded.
+ *
+ * renditions.video:     [{ name, width, height, bandwidth, codec }] - one AdaptationSet per codec family
+ * renditions.audio:     [{ name, language, bandwidth }]
+ * renditions.subtitles: [{ name, language, title }] - served as whole subtitles.vtt files
+ */
+const writeDashManifest = (outputDir, { video, audio = [], subtitles = [] }) => {
+  const videoSegments = Object.fromEntries(video.map(rendition => [rendition.name, readRendition(outputDir, rendition.name)]));
+  const audioSegments = Object.fromEntries(audio.map(rendition => [rendition.name, readRendition(outputDir, rendition.name)]));
+
+  const reference = videoSegments[video[0].name];
+  const lastSegment = reference[reference.length - 1];
+  const duration = lastSegment.start + lastSegment.duration;
+  const periods = planPeriods(reference, duration);
+
+  const codecsOf = (name, segments) => readInitSegmentCodecs(join(outputDir, name, segments[0].init))[0];
+
+  if (subtitles.length > 0 && periods.length > 1) {
+    console.warn('Whole-file WebVTT tracks cannot span DASH periods, leaving subtitles out of the MPD');
+  }
+
+  // Representations of one AdaptationSet must be switchable, so codec families get their own
+  const videoGroups = [...new Set(video.map(rendition => rendition.codec || 'h264'))]
+    .map(codec => video.filter(rendition => (rendition.codec || 'h264') === codec));
+
+  const periodLines = periods.flatMap(period => {
+    const videoSets = videoGroups.flatMap((group, groupIndex) => [
+      `<AdaptationSet ${attributes({ id: groupIndex, contentType: 'video', mimeType: 'video/mp4', segmentAlignment: 'true', startWithSAP: 1 })}>`,
+      ...group.flatMap(rendition => {
+        const segments = segmentsInPeriod(videoSegments[rendition.name], period);
+        const representation = attributes({
+          id: rendition.name,
+          bandwidth: rendition.bandwidth,
+          width: rendition.width,
+          height: rendition.height,
+          codecs: codecsOf(rendition.name, segments),
+        });
+        return indent([
+          `<Representation ${representation}>`,
+          ...indent(buildSegmentTemplate(rendition.name, segments, period), 1),
+          '</Representation>',
+        ], 1);
+      }),
+      '</AdaptationSet>',
+    ]);
+
+    const audioSets = audio.flatMap((rendition, index) => {
+      const segments = segmentsInPeriod(audioSegments[rendition.name], period);
+      const set = attributes({ id: videoGroups.length + index, contentType: 'audio', mimeType: 'audio/mp4', lang: rendition.language, segmentAlignment: 'true' });
+      const representation = attributes({
+        id: rendition.name,
+        bandwidth: rendition.bandwidth,
+        codecs: codecsOf(rendition.name, segments),
+      });
+      return [
+        `<AdaptationSet ${set}>`,
+        ...indent([
+          `<Representation ${representation}>`,
+          ...indent(buildSegmentTemplate(rendition.name, segments, period), 1),
+          '</Representation>',
+        ], 1),
+        '</AdaptationSet>',
+      ];
+    });
+
+    const textSets = periods.length > 1 ? [] : subtitles.flatMap((track, index) => [
+      `<AdaptationSet ${attributes({ id: videoGroups.length + audio.length + index, contentType: 'text', mimeType: 'text/vtt', lang: track.language })}>`,
+      `  <Label>${escapeXml(track.title)}</Label>`,
+      `  <Representation ${attributes({ id: track.name, bandwidth: 256 })}>`,
+      `    <BaseURL>${escapeXml(`${track.name}/subtitles.vtt`)}</BaseURL>`,
+      '  </Representation>',
+      '</AdaptationSet>',
+    ]);
+
+    return [
+      `<Period ${attributes({ id: period.id, start: isoDuration(period.start), duration: isoDuration(period.end - period.start) })}>`,
+      ...indent([...videoSets, ...audioSets, ...textSets], 1),
+      '</Period>',
+    ];
+  });
+
+  const mpd = attributes({
+    xmlns: 'urn:mpeg:dash:schema:mpd:2011',
+    profiles: 'urn:mpeg:dash:profile:isoff-live:2011',
+    type: 'static',
+    mediaPresentationDuration: isoDuration(duration),
+    minBufferTime: 'PT4S',
+  });
+
+  const manifest = [
+    '<?xml version="1.0" encoding="UTF-8"?>',
+    `<MPD ${mpd}>`,
+    ...indent(periodLines, 1),
+    '</MPD>',
+  ];
+
+  const manifestPath = join(outputDir, 'manifest.mpd');
+  writeFileSync(manifestPath, `${manifest.join('\n')}\n`);
+  console.log(`DASH manifest created at ${manifestPath} with ${periods.length} period(s)`);
+};
+
+export { writeDashManifest };
@@ -0,0 +1,278 @@
+import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
+import { buildRotationFilter } from './encode.js';
+import { makeEven, parseTimestamp, runFfmpeg } from './util.js';
+
+// Source editing. In and out points, intro and outro clips and a watermark are
+// rendered once into an edited copy of the source, and every rendition is then
+// encoded from that copy, so the edits match across the ladder and playlists
+// carry the edited duration. The picture is brought to square pixels at the
+// source's display size and frame rate: intros and outros are scaled and
+// letterboxed into it, and all audio is resampled to one format. Every audio
+// track of the source is kept; an intro or outro plays its own audio on each of
+// them, and parts without audio get silence. The watermark is only laid over
+// the source, not over the intro and outro. Subtitles are not carried into the
+// copy: they are taken from the source and moved onto the edited timeline.
+
+const POSITIONS = ['top-left', 'top-right', 'bottom-left', 'bottom-right', 'center'];
+
+const WATERMARK_DEFAULTS = {
+  position: 'top-right',
+  opacity: 0.8,
+  // Watermark width and margin as a share of the frame width
+  width: 0.12,
+  margin: 0.03,
+};
+
+const AUDIO_RATE = 48000;
+const AUDIO_LAYOUT = 'stereo';
+
+// The edited copy is encoded again for every rendition, so it is kept close to lossless
+const EDIT_CRF = 16;
+const EDIT_PRESET = 'fast';
+const EDIT_AUDIO_BITRATE = '320k';
+
+// Seconds, or a timestamp such as '01:02:03.5' or '02:03'
+const parseTime = (value, field) => {
+  const seconds = typeof value === 'string' && value.includes(':')
+    ? value.split(':').reduce((total, part) => total * 60 + Number(part), 0)
+    : Number(value);
+  if (!Number.isFinite(seconds) || seconds < 0) {
+    throw new Error(`Invalid edit ${field} point: ${value}`);
+  }
+  return seconds;
+};
+
+// A key string or { key, position, opacity, width, margin }
+const resolveWatermark = config => {
+  if (!config) {
+    return null;
+  }
+  const watermark = { ...WATERMARK_DEFAULTS, ...(typeof config === 'string' ? { key: config } : config) };
+  if (!watermark.key) {
+    throw new Error('Watermark key not provided');
+  }
+  if (!POSITIONS.includes(watermark.position)) {
+    throw new Error(`Unknown watermark position: ${watermark.position}`);
+  }
+  if (!(watermark.opacity > 0 && watermark.opacity <= 1)) {
+    throw new Error('Watermark opacity must be above 0 and at most 1');
+  }
+  if (!(watermark.width > 0 && watermark.width <= 1) || !(watermark.margin >= 0 && watermark.margin < 0.5)) {
+    throw new Error('Watermark width must be above 0 and at most 1, its margin at least 0 and below 0.5');
+  }
+  return watermark;
+};
+
+/**
+ * Resolves the edits of a job from event.edit, falling back to INTRO_KEY,
+ * OUTRO_KEY and WATERMARK_KEY. Returns null when there is nothing to edit;
+ * `edit: false` also ignores the environment.
+ *
+ * config.in / config.out: points of the source to keep, in seconds or as timestamps
+ * config.intro / config.outro: storage keys of clips joined before and after the source
+ * config.watermark: storage key of an image, or { key, position, opacity, width, margin }
+ */
+const resolveEdit = config => {
+  if (config === false) {
+    return null;
+  }
+  const settings = config ?? {};
+  const env = process.env;
+  const edit = {
+    in: settings.in == null ? null : parseTime(settings.in, 'in'),
+    out: settings.out == null ? null : parseTime(settings.out, 'out'),
+    intro: (settings.intro ?? env.INTRO_KEY) || null,
+    outro: (settings.outro ?? env.OUTRO_KEY) || null,
+    watermark: resolveWatermark(settings.watermark ?? env.WATERMARK_KEY),
+  };
+  if (edit.in !== null && edit.out !== null && edit.out <= edit.in) {
+    throw new Error(`Edit out point (${edit.out}s) must come after the in point (${edit.in}s)`);
+  }
+  if (!edit.in && edit.out === null && !edit.intro && !edit.outro && !edit.watermark) {
+    return null;
+  }
+  return edit;
+};
+
+const probeClip = (path, label) => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(path, (err, metadata) => {
+    if (err) {
+      console.error(`Error probing ${label} ${path}: ${err.message}`);
+      reject(err);
+      return;
+    }
+    const duration = parseFloat(metadata.format.duration);
+    if (!metadata.streams.some(stream => stream.codec_type === 'video') || !(duration > 0)) {
+      reject(new Error(`The ${label} has no video to join`));
+      return;
+    }
+    resolve({ duration, hasAudio: metadata.streams.some(stream => stream.codec_type === 'audio') });
+  });
+});
+
+// Square pixel frame of the source as it is displayed
+const canvasOf = source => {
+  const [num, den] = String(source.sampleAspectRatio || '1:1').split(':').map(Number);
+  const sar = num > 0 && den > 0 ? num / den : 1;
+  return { width: makeEven(source.width * sar), height: makeEven(source.height) };
+};
+
+const overlayPosition = (position, margin) => ({
+  'top-left': `x=${margin}:y=${margin}`,
+  'top-right': `x=W-w-${margin}:y=${margin}`,
+  'bottom-left': `x=${margin}:y=H-h-${margin}`,
+  'bottom-right': `x=W-w-${margin}:y=H-h-${margin}`,
+  center: 'x=(W-w)/2:y=(H-h)/2',
+})[position];
+
+const silence = duration => `anullsrc=r=${AUDIO_RATE}:cl=${AUDIO_LAYOUT},atrim=duration=${duration}`;
+
+/**
+ * Filter graph joining the parts into [v] and trackCount audio tracks. parts
+ * are in playing order: { video, audio, duration, main }, where video is a
+ * stream specifier and audio lists one specifier per track, a single one that
+ * plays on every track (an intro or outro), or none for a silent part.
+ * Returns { filter, video, audio } with the output labels, one per track in audio.
+ */
+const buildEditFilter = (parts, source, watermark, trackCount) => {
+  const canvas = canvasOf(source);
+  // Without a probed frame rate every part keeps its own
+  const fps = source.fps > 0 ? `fps=${Math.round(source.fps * 1000) / 1000}` : null;
+  const audioFormat = `aresample=${AUDIO_RATE},aformat=sample_fmts=fltp:channel_layouts=${AUDIO_LAYOUT}`;
+  const filters = [];
+
+  parts.forEach((part, index) => {
+    if (part.main) {
+      const chain = [buildRotationFilter(source.rotation), `scale=${canvas.width}:${canvas.height}`, 'setsar=1', fps].filter(Boolean);
+      if (watermark) {
+        const margin = Math.round(canvas.width * watermark.margin);
+        filters.push(`[${part.video}]${chain.join(',')}[main]`);
+        filters.push(`[${watermark.input}:v]scale=${makeEven(canvas.width * watermark.width)}:-2,format=rgba,colorchannelmixer=aa=${watermark.opacity}[mark]`);
+        filters.push(`[main][mark]overlay=${overlayPosition(watermark.position, margin)},format=yuv420p[v${index}]`);
+      } else {
+        filters.push(`[${part.video}]${chain.join(',')},format=yuv420p[v${index}]`);
+      }
+    } else {
+      const chain = [
+        `scale=${canvas.width}:${canvas.height}:force_original_aspect_ratio=decrease`,
+        `pad=${canvas.width}:${canvas.height}:(ow-iw)/2:(oh-ih)/2`,
+        'setsar=1',
+        fps,
+        'format=yuv420p',
+      ].filter(Boolean);
+      filters.push(`[${part.video}]${chain.join(',')}[v${index}]`);
+    }
+
+    const labels = Array.from({ length: trackCount }, (value, track) => `[a${index}_${track}]`);
+    if (part.audio.length === trackCount) {
+      part.audio.forEach((spec, track) => filters.push(`[${spec}]${audioFormat}${labels[track]}`));
+    } else if (part.audio.length === 1) {
+      filters.push(`[${part.audio[0]}]${audioFormat},asplit=${trackCount}${labels.join('')}`);
+    } else {
+      labels.forEach(label => filters.push(`${silence(part.duration)}${label}`));
+    }
+  });
+
+  const tracks = Array.from({ length: trackCount }, (value, track) => track);
+  if (parts.length === 1) {
+    return { filter: filters.join(';'), video: 'v0', audio: tracks.map(track => `a0_${track}`) };
+  }
+  const inputs = parts.map((part, index) => `[v${index}]${tracks.map(track => `[a${index}_${track}]`).join('')}`).join('');
+  const outputs = `[v]${tracks.map(track => `[a${track}]`).join('')}`;
+  filters.push(`${inputs}concat=n=${parts.length}:v=1:a=${trackCount}${outputs}`);
+  return { filter: filters.join(';'), video: 'v', audio: tracks.map(track => `a${track}`) };
+};
+
+/**
+ * Renders the edited copy of the source to outputPath and returns what was
+ * done: { in, out, offset, intro, outro, watermark, duration }. Source time t
+ * between in and out plays at t + offset in the edited copy.
+ *
+ * source: probed metadata of the source, with its audioTracks
+ * assets: local paths of the downloaded { intro, outro, watermark }
+ * onProgress receives the percentage of the edited duration rendered
+ */
+const renderEdit = async (inputPath, outputPath, source, edit, assets, onProgress = null) => {
+  const start = edit.in || 0;
+  const end = edit.out === null ? source.duration : Math.min(edit.out, source.duration);
+  if (start >= end) {
+    throw new Error(`Edit in point (${start}s) is not before the end of the source (${source.duration}s)`);
+  }
+
+  const command = ffmpeg(inputPath)
+    .inputOptions(['-noautorotate', '-ss', `${start}`, '-t', `${end - start}`]);
+  const parts = [];
+  let inputs = 1;
+  const addClip = async label => {
+    const clip = await probeClip(assets[label], label);
+    command.input(assets[label]);
+    parts.push({ video: `${inputs}:v:0`, audio: clip.hasAudio ? [`${inputs}:a:0`] : [], duration: clip.duration });
+    inputs++;
+  };
+
+  if (edit.intro) await addClip('intro');
+  parts.push({ video: '0:v:0', audio: source.audioTracks.map(track => `0:${track.streamIndex}`), duration: end - start, main: true });
+  if (edit.outro) await addClip('outro');
+
+  let watermark = null;
+  if (edit.watermark) {
+    command.input(assets.watermark);
+    watermark = { ...edit.watermark, input: inputs };
+  }
+
+  const duration = parts.reduce((total, part) => total + part.duration, 0);
+  // Source time t plays at t + offset in the edited copy
+  const offset = (edit.intro ? parts[0].duration : 0) - start;
+  const trackCount = Math.max(source.audioTracks.length, parts.some(part => part.audio.length > 0) ? 1 : 0);
+  const graph = buildEditFilter(parts, source, watermark, trackCount);
+  const outputOptions = [
+    '-map', `[${graph.video}]`,
+    '-c:v', 'libx264',
+    '-preset', EDIT_PRESET,
+    '-crf', `${EDIT_CRF}`,
+    '-pix_fmt', 'yuv420p',
+    '-movflags', '+faststart',
+  ];
+  if (trackCount > 0) {
+    graph.audio.forEach(label => outputOptions.push('-map', `[${label}]`));
+    outputOptions.push('-c:a', 'aac', '-b:a', EDIT_AUDIO_BITRATE);
+  }
+  // Languages, titles and the source's default track carry over, so the audio renditions stay the same
+  source.audioTracks.forEach((track, index) => {
+    if (track.language) {
+      outputOptions.push(`-metadata:s:a:${index}`, `language=${track.language}`);
+    }
+    outputOptions.push(`-metadata:s:a:${index}`, `title=${track.title}`);
+    outputOptions.push(`-disposition:a:${index}`, track.isSourceDefault ? 'default' : '0');
+  });
+
+  console.log(`Editing source: ${[
+    edit.intro && 'intro',
+    `source ${start}s-${end}s`,
+    edit.outro && 'outro',
+    edit.watermark && `${edit.watermark.position} watermark`,
+  ].filter(Boolean).join(', ')}, ${Math.round(duration * 1000) / 1000}s in total`);
+
+  await runFfmpeg(
+    command
+      .complexFilter(graph.filter)
+      .outputOptions(outputOptions)
+      .output(outputPath)
+      .on('progress', progress => {
+        if (onProgress) onProgress((parseTimestamp(progress.timemark) / duration) * 100);
+      }),
+    'source editing',
+  );
+
+  return {
+    in: start,
+    out: end,
+    offset: Math.round(offset * 1000) / 1000,
+    intro: edit.intro,
+    outro: edit.outro,
+    watermark: edit.watermark && edit.watermark.key,
+    duration: Math.round(duration * 1000) / 1000,
+  };
+};
+
+export { resolveEdit, renderEdit };
@@ -0,0 +1,275 @@
+import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
+import { mkdirSync } from 'fs';
+import { join } from 'path';
+import { buildFrameFilter } from './aspect.js';
+import { videoEncoderOptions } from './encoders.js';
+import { trackCommand } from './cancel.js';
+
+// Default segment length in seconds; every rendition is keyframed on this boundary
+const SEGMENT_DURATION = 4;
+
+const hlsOptions = segmentDuration => [
+  '-movflags +faststart',
+  '-f hls',
+  `-hls_time ${segmentDuration}`,
+  '-hls_list_size 0',
+  '-hls_segment_type fmp4',
+  '-hls_playlist_type vod',
+  '-hls_flags independent_segments',
+];
+
+// Segment length of the job: event.segmentDuration, SEGMENT_DURATION or 4 seconds
+const resolveSegmentDuration = value => {
+  const segmentDuration = Number(value ?? process.env.SEGMENT_DURATION ?? SEGMENT_DURATION);
+  if (!(segmentDuration > 0) || segmentDuration > 60) {
+    throw new Error(`Invalid segment duration: ${value ?? process.env.SEGMENT_DURATION}`);
+  }
+  return segmentDuration;
+};
+
+// Filters that undo the rotation metadata (0, 90, 180 or 270, see probe.js),
+// applied once per decoded frame
+const buildRotationFilter = rotation => {
+  if (rotation === 90 || rotation === 270) {
+    const transposeMode = rotation === 90 ? 1 : 2; // 1 = 90°, 2 = 270°
+    return `transpose=${transposeMode}`;
+  }
+  if (rotation === 180) {
+    return 'hflip,vflip';
+  }
+  return null;
+};
+
+/**
+ * Encodes one rung into outputDir/<name>, keyframed every rung.segmentDuration
+ * seconds (rung.gop frames, see resolveLadder). `window` restricts the encode to a
+ * time range of the source ({ start, duration } in seconds) and may write into
+ * a different directory name; timestamps keep their position in the source.
+ * onProgress receives the percentage of the source encoded so far.
+ */
+const generateHlsStream = (inputFilePath, outputDir, rung, rotation = 0, window = {}, onProgress = null) => {
+  return new Promise((resolve, reject) => {
+    const { width, height } = rung;
+    const name = window.name || rung.name;
+    const streamOutputDir = join(outputDir, name);
+    const outputM3u8Path = join(streamOutputDir, 'index.m3u8');
+
+    mkdirSync(streamOutputDir, { recursive: true });
+
+    console.log(`Generating ${rung.codec || 'h264'} HLS stream ${name} for resolution ${width}x${height} at ${streamOutputDir}`);
+
+    const aspectRatioFilter = [buildRotationFilter(rotation), buildFrameFilter(rung)].filter(Boolean).join(',');
+
+    const outputOptions = [
+      `-vf ${aspectRatioFilter}`,
+      ...videoEncoderOptions(rung),
+      '-force_key_frames', `expr:gte(t,n_forced*${rung.segmentDuration})`,
+      // Audio is published as separate renditions, see generateAudioRendition
+      '-an',
+      ...hlsOptions(rung.segmentDuration),
+      '-pix_fmt yuv420p',
+      `-hls_segment_filename`, `${streamOutputDir}/segment_%03d.m4s`,
+    ];
+
+    if (rung.fps) {
+      outputOptions.push('-r', `${rung.fps}`); // Reduced or constant frame rate for this rung
+    }
+
+    // The rotation filter above replaces ffmpeg's autorotation, which would rotate twice
+    const inputOptions = ['-noautorotate'];
+    if (window.start !== undefined) {
+      // Input seeking resets timestamps to zero, so shift them back to the source position
+      inputOptions.push('-ss', `${window.start}`);
+      outputOptions.push('-t', `${window.duration}`, '-output_ts_offset', `${window.start}`);
+    }
+
+    trackCommand(ffmpeg(inputFilePath))
+      .inputOptions(inputOptions)
+      .outputOptions(outputOptions)
+      .output(outputM3u8Path)
+      .on('start', (commandLine) => {
+        console.log('Spawned FFmpeg with command:', commandLine);
+      })
+      .on('progress', (progress) => {
+        console.log(`Processing: ${progress.percent}% done`);
+        if (onProgress) onProgress(progress.percent);
+      })
+      .on('end', () => {
+        console.log(`HLS stream generation complete for resolution ${width}x${height} at ${streamOutputDir}`);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error(`Error generating HLS stream for resolution ${width}x${height}: ${err.message}`);
+        console.error('ffmpeg stdout:', stdout);
+        console.error('ffmpeg stderr:', stderr);
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Encodes one source audio stream into outputDir/<track.name> as an audio-only rendition
+const generateAudioRendition = (inputFilePath, outputDir, track, bitrate, onProgress = null, segmentDuration = SEGMENT_DURATION) => {
+  return new Promise((resolve, reject) => {
+    const streamOutputDir = join(outputDir, track.name);
+    const outputM3u8Path = join(streamOutputDir, 'index.m3u8');
+
+    mkdirSync(streamOutputDir, { recursive: true });
+
+    console.log(`Generating audio rendition ${track.name} from stream ${track.streamIndex} at ${streamOutputDir}`);
+
+    const outputOptions = [
+      '-map', `0:${track.streamIndex}`,
+      '-vn',
+      '-c:a aac',
+      `-b:a ${bitrate}`,
+      `-ac ${track.channels}`,
+      '-ar 44100',
+      ...hlsOptions(segmentDuration),
+      `-hls_segment_filename`, `${streamOutputDir}/segment_%03d.m4s`,
+    ];
+
+    trackCommand(ffmpeg(inputFilePath))
+      .outputOptions(outputOptions)
+      .output(outputM3u8Path)
+      .on('start', (commandLine) => {
+        console.log('Spawned FFmpeg with command:', commandLine);
+      })
+      .on('progress', (progress) => {
+        if (onProgress) onProgress(progress.percent);
+      })
+      .on('end', () => {
+        console.log(`Audio rendition complete for ${track.name}`);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error(`Error generating audio rendition ${track.name}: ${err.message}`);
+        console.error('ffmpeg stdout:', stdout);
+        console.error('ffmpeg stderr:', stderr);
+        reject(err);
+      })
+      .run();
+  });
+};
+
+// Converts a subtitle stream (or a whole .srt/.vtt file when streamIndex is null) to WebVTT
+const extractWebVtt = (inputFilePath, outputPath, streamIndex = null) => {
+  return new Promise((resolve, reject) => {
+    trackCommand(ffmpeg(inputFilePath))
+      .outputOptions(['-map', streamIndex === null ? '0:s:0' : `0:${streamIndex}`, '-c:s webvtt', '-f webvtt'])
+      .output(outputPath)
+      .on('end', () => {
+        console.log(`Extracted WebVTT subtitles to ${outputPath}`);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error(`Error extracting subtitles from ${inputFilePath}: ${err.message}`);
+        console.error('ffmpeg stderr:', stderr);
+        reject(err);
+      })
+      .run();
+  });
+};
+
+/**
+ * Encodes every rung and every audio track from a single decode of the source.
+ * The decoded video is split once and scaled per rung, and all renditions are
+ * keyframed on the same timestamps so segment boundaries match across
+ * variants. The master playlist is written by the caller.
+ */
+const generateHlsLadder = (inputFilePath, outputDir, rungs, { rotation = 0, audioTracks = [], audioBitrate, segmentDuration = SEGMENT_DURATION, onProgress = null } = {}) => {
+  if (rungs.length === 0) {
+    // Only audio is left (e.g. a resumed job): there is no video to split
+    const percents = audioTracks.map(() => 0);
+    return Promise.all(audioTracks.map((track, index) => generateAudioRendition(inputFilePath, outputDir, track, audioBitrate, percent => {
+      percents[index] = percent;
+      if (onProgress) onProgress(percents.reduce((sum, value) => sum + value, 0) / percents.length);
+    }, segmentDuration))).then(() => undefined);
+  }
+
+  return new Promise((resolve, reject) => {
+    [...rungs, ...audioTracks].forEach(rendition => mkdirSync(join(outputDir, rendition.name), { recursive: true }));
+
+    console.log(`Generating ${rungs.length} HLS streams and ${audioTracks.length} audio renditions from a single decode at ${outputDir}`);
+
+    const splitOutputs = rungs.map((rung, index) => `[split${index}]`).join('');
+    const filterGraph = [
+      `[0:v]${[buildRotationFilter(rotation), `split=${rungs.length}`].filter(Boolean).join(',')}${splitOutputs}`,
+      ...rungs.map((rung, index) => {
+        const fpsFilter = rung.fps ? `fps=${rung.fps},` : '';
+        return `[split${index}]${fpsFilter}${buildFrameFilter(rung)}[v${index}]`;
+      }),
+    ].join(';');
+
+    const outputOptions = [];
+    rungs.forEach((rung, index) => {
+      outputOptions.push('-map', `[v${index}]`);
+    });
+    audioTracks.forEach(track => {
+      outputOptions.push('-map', `0:${track.streamIndex}`);
+    });
+
+    outputOptions.push(
+      '-pix_fmt yuv420p',
+      // Keyframes on identical timestamps in every rendition, whatever its frame rate and codec
+      '-force_key_frames', `expr:gte(t,n_forced*${segmentDuration})`,
+    );
+
+    rungs.forEach((rung, index) => {
+      outputOptions.push(...videoEncoderOptions(rung, `:v:${index}`));
+    });
+
+    audioTracks.forEach((track, index) => {
+      outputOptions.push(`-ac:a:${index} ${track.channels}`);
+    });
+    if (audioTracks.length > 0) {
+      outputOptions.push('-c:a aac', `-b:a ${audioBitrate}`, '-ar 44100');
+    }
+
+    const streamMap = [
+      ...rungs.map((rung, index) => `v:${index},name:${rung.name}`),
+      ...audioTracks.map((track, index) => `a:${index},name:${track.name}`),
+    ].join(' ');
+
+    outputOptions.push(
+      ...hlsOptions(segmentDuration),
+      '-hls_segment_filename', `${outputDir}/%v/segment_%03d.m4s`,
+    );
+
+    trackCommand(ffmpeg(inputFilePath))
+      .inputOptions('-noautorotate')
+      .complexFilter(filterGraph)
+      .outputOptions(outputOptions)
+      // Passed separately so fluent-ffmpeg never splits the space separated map
+      .outputOptions('-var_stream_map', streamMap)
+      .output(join(outputDir, '%v', 'index.m3u8'))
+      .on('start', (commandLine) => {
+        console.log('Spawned FFmpeg with command:', commandLine);
+      })
+      .on('progress', (progress) => {
+        console.log(`Processing: ${progress.percent}% done`);
+        if (onProgress) onProgress(progress.percent);
+      })
+      .on('end', () => {
+        console.log(`HLS ladder generation complete for ${rungs.map(rung => rung.name).join(', ')} at ${outputDir}`);
+        resolve();
+      })
+      .on('error', (err, stdout, stderr) => {
+        console.error(`Error generating HLS ladder: ${err.message}`);
+        console.error('ffmpeg stdout:', stdout);
+        console.error('ffmpeg stderr:', stderr);
+        reject(err);
+      })
+      .run();
+  });
+};
+
+export {
+  SEGMENT_DURATION,
+  resolveSegmentDuration,
+  buildRotationFilter,
+  generateHlsStream,
+  generateAudioRendition,
+  extractWebVtt,
+  generateHlsLadder,
+};
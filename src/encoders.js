@@ -0,0 +1,144 @@
+// Video codec families. Every rung is encoded in H.264 so every player has
+// something to play, and may also be encoded in HEVC (libx265) and AV1
+// (libsvtav1 or libaom-av1), which reach the same quality at a lower bitrate.
+// Extra families become separate variants named <rung>_<family>; players pick
+// them through the CODECS attribute and older players keep choosing H.264.
+
+const CODEC_FAMILIES = ['h264', 'hevc', 'av1'];
+
+// Share of the rung bitrate each family needs for similar quality
+const BITRATE_FACTORS = { h264: 1, hevc: 0.65, av1: 0.55 };
+
+// Rung CRF values are on the x264 scale; offsets move them onto each encoder's scale
+const CRF_OFFSETS = { h264: 0, hevc: 4, av1: 10 };
+const MAX_CRF = { h264: 51, hevc: 51, av1: 63 };
+
+const AV1_ENCODERS = ['libsvtav1', 'libaom-av1'];
+
+// x264 preset names mapped onto SVT-AV1 presets (0 slowest, 13 fastest) and libaom cpu-used
+const SVT_AV1_PRESETS = { ultrafast: 12, superfast: 11, veryfast: 10, faster: 9, fast: 8, medium: 7, slow: 5, slower: 4, veryslow: 3, placebo: 2 };
+const AOM_CPU_USED = { ultrafast: 8, superfast: 8, veryfast: 7, faster: 6, fast: 6, medium: 5, slow: 4, slower: 3, veryslow: 2, placebo: 1 };
+
+// Optimized x264 params for faster encoding
+const X264_PARAMS = [
+  'no-fast-pskip=1',
+  'no-dct-decimate=1',
+  'aq-mode=1',
+  'aq-strength=0.8',
+  'psy-rd=1.0',
+  'deblock=1:1',
+  'me=hex',
+  'subme=7',
+  'trellis=2',
+  'ref=3',
+  'b-adapt=2',
+  'bframes=3',
+].join(':');
+
+// Closed GOPs without scene cut keyframes, so segments start exactly where they are forced
+const X265_PARAMS = ['scenecut=0', 'open-gop=0', 'log-level=warning'].join(':');
+
+/**
+ * Resolves the codec families of a job from event.codecs or VIDEO_CODECS
+ * (a list or a comma separated string). H.264 is always encoded and comes first.
+ */
+const resolveCodecs = config => {
+  const value = config ?? process.env.VIDEO_CODECS ?? 'h264';
+  const families = (Array.isArray(value) ? value : String(value).split(','))
+    .map(family => String(family).trim().toLowerCase())
+    .filter(Boolean);
+
+  families.forEach(family => {
+    if (!CODEC_FAMILIES.includes(family)) {
+      throw new Error(`Unknown video codec: ${family}`);
+    }
+  });
+
+  const av1Encoder = process.env.AV1_ENCODER || 'libsvtav1';
+  if (families.includes('av1') && !AV1_ENCODERS.includes(av1Encoder)) {
+    throw new Error(`Unknown AV1 encoder: ${av1Encoder}`);
+  }
+
+  return CODEC_FAMILIES.filter(family => family === 'h264' || families.includes(family));
+};
+
+/**
+ * Turns resolved rungs into one rendition per rung and codec family, H.264
+ * first. A rung may list `codecs` to limit which extra families it gets.
+ */
+const expandCodecs = (rungs, families) => families.flatMap(family => rungs
+  .filter(rung => family === 'h264' || !rung.codecs || rung.codecs.includes(family))
+  .map(rung => {
+    const factor = BITRATE_FACTORS[family];
+    return {
+      ...rung,
+      name: family === 'h264' ? rung.name : `${rung.name}_${family}`,
+      codec: family,
+      bitrate: Math.round(rung.bitrate * factor),
+      maxBitrate: Math.round(rung.maxBitrate * factor),
+      bufSize: Math.round(rung.bufSize * factor),
+      crf: Math.min(MAX_CRF[family], rung.crf + CRF_OFFSETS[family]),
+    };
+  }));
+
+// Name of the ladder rung a rendition was expanded from, without the codec suffix
+const baseRungName = rendition => (rendition.codec && rendition.codec !== 'h264'
+  ? rendition.name.slice(0, -(rendition.codec.length + 1))
+  : rendition.name);
+
+/**
+ * ffmpeg options encoding a rendition with its family's encoder. `stream` is the
+ * stream specifier the options apply to, e.g. ':v:2' inside a single-decode ladder.
+ */
+const videoEncoderOptions = (rung, stream = ':v') => {
+  const rateControl = [
+    `-crf${stream} ${rung.crf}`,
+    `-b${stream} ${rung.bitrate}k`,
+    `-maxrate${stream} ${rung.maxBitrate}k`,
+    `-bufsize${stream} ${rung.bufSize}k`,
+    `-g${stream} ${rung.gop}`,
+  ];
+
+  switch (rung.codec || 'h264') {
+    case 'h264':
+      return [
+        `-c${stream} libx264`,
+        `-preset${stream} ${rung.preset}`,
+        ...rateControl,
+        `-keyint_min${stream} ${Math.round(rung.gop / 2)}`,
+        `-sc_threshold${stream} 0`,
+        `-x264-params${stream}`, X264_PARAMS,
+      ];
+    case 'hevc':
+      return [
+        `-c${stream} libx265`,
+        `-preset${stream} ${rung.preset}`,
+        ...rateControl,
+        `-keyint_min${stream} ${Math.round(rung.gop / 2)}`,
+        // Apple players only accept HEVC in fMP4 with the hvc1 sample entry
+        `-tag${stream} hvc1`,
+        `-x265-params${stream}`, X265_PARAMS,
+      ];
+    case 'av1':
+      if ((process.env.AV1_ENCODER || 'libsvtav1') === 'libaom-av1') {
+        return [
+          `-c${stream} libaom-av1`,
+          `-cpu-used${stream} ${AOM_CPU_USED[rung.preset] ?? 6}`,
+          `-row-mt${stream} 1`,
+          ...rateControl,
+          `-keyint_min${stream} ${Math.round(rung.gop / 2)}`,
+        ];
+      }
+      return [
+        `-c${stream} libsvtav1`,
+        `-preset${stream} ${SVT_AV1_PRESETS[rung.preset] ?? 8}`,
+        ...rateControl,
+        // Scene change detection would add keyframes between the forced ones
+        `-svtav1-params${stream}`, 'scd=0',
+      ];
+    default:
+      throw new Error(`Unknown video codec: ${rung.codec}`);
+  }
+};
+
+export { resolveCodecs, expandCodecs, baseRungName, videoEncoderOptions };
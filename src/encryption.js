@@ -0,0 +1,257 @@
+import { createCipheriv, randomBytes } from 'crypto';
+import { existsSync, mkdirSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { join, resolve } from 'path';
+import { readInitSegmentCodecs } from './codecs.js';
+import { protectInitSegment, protectMediaSegment } from './cbcs.js';
+
+// HLS content encryption, applied to the encoded output before upload.
+//   AES-128:    whole segments encrypted with AES-128-CBC, IV = media sequence number.
+//               Init segments stay in the clear.
+//   SAMPLE-AES: CMAF cbcs sample encryption (see cbcs.js) with a constant IV per key.
+// Keys are generated per asset, optionally rotated every N segments, and handed
+// to a key store; they are never written into the output directory.
+
+const METHODS = ['AES-128', 'SAMPLE-AES'];
+
+const hex = buffer => buffer.toString('hex');
+
+// Storage-safe form of an asset id
+const safeAssetId = assetId => String(assetId).replace(/[^A-Za-z0-9._-]+/g, '_');
+
+const createLocalKeyStore = ({ dir }) => {
+  const rootDir = resolve(dir);
+
+  const putKeys = async (assetId, keys) => {
+    const assetDir = join(rootDir, safeAssetId(assetId));
+    mkdirSync(assetDir, { recursive: true });
+    keys.forEach(key => writeFileSync(join(assetDir, `${hex(key.keyId)}.key`), key.key));
+    writeFileSync(join(assetDir, 'keys.json'), JSON.stringify({
+      assetId,
+      keys: keys.map(key => ({ keyId: hex(key.keyId), key: hex(key.key), iv: hex(key.iv), uri: key.uri })),
+    }, null, 2));
+    console.log(`Stored ${keys.length} content key(s) for ${assetId} in ${assetDir}`);
+  };
+
+  return { type: 'local', putKeys };
+};
+
+const createHttpKeyStore = ({ url, token }) => {
+  const putKeys = async (assetId, keys) => {
+    const response = await fetch(url, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+      body: JSON.stringify({
+        assetId,
+        keys: keys.map(key => ({ keyId: hex(key.keyId), key: hex(key.key), iv: hex(key.iv), uri: key.uri })),
+      }),
+    });
+    if (!response.ok) {
+      throw new Error(`Key store at ${url} rejected keys for ${assetId}: HTTP ${response.status}`);
+    }
+    console.log(`Posted ${keys.length} content key(s) for ${assetId} to ${url}`);
+  };
+
+  return { type: 'http', putKeys };
+};
+
+/**
+ * Builds a key store from a config object, falling back to environment variables.
+ *
+ * config.type:  'local' (default) or 'http'
+ * config.dir:   directory for the local store (KEY_STORE_DIR, default ./keys)
+ * config.url:   endpoint receiving a JSON POST of the keys (KEY_STORE_URL)
+ * config.token: bearer token for the http store (KEY_STORE_TOKEN)
+ */
+const createKeyStore = (config = {}) => {
+  const env = process.env;
+  const type = config.type || env.KEY_STORE_TYPE || 'local';
+
+  switch (type) {
+    case 'local':
+      return createLocalKeyStore({ dir: config.dir || env.KEY_STORE_DIR || join(process.cwd(), 'keys') });
+    case 'http': {
+      const url = config.url || env.KEY_STORE_URL;
+      if (!url) {
+        throw new Error('HTTP key store requires a url');
+      }
+      return createHttpKeyStore({ url, token: config.token || env.KEY_STORE_TOKEN });
+    }
+    default:
+      throw new Error(`Unknown key store: ${type}`);
+  }
+};
+
+/**
+ * Validates the event's encryption settings. Returns null when encryption is off.
+ *
+ * config.method:      'AES-128' or 'SAMPLE-AES'
+ * config.rotateEvery: segments per key, 0 for a single key (default)
+ * config.keyUri:      key server URI template with {assetId} and {keyId} (KEY_URI_TEMPLATE)
+ * config.keyStore:    key store config, see createKeyStore
+ */
+const resolveEncryption = config => {
+  if (!config) {
+    return null;
+  }
+  const method = config.method || 'AES-128';
+  if (!METHODS.includes(method)) {
+    throw new Error(`Unknown encryption method: ${method}`);
+  }
+  const keyUri = config.keyUri || process.env.KEY_URI_TEMPLATE;
+  if (!keyUri) {
+    throw new Error('Encryption requires a key URI template (encryption.keyUri or KEY_URI_TEMPLATE)');
+  }
+  const rotateEvery = config.rotateEvery || 0;
+  if (!Number.isInteger(rotateEvery) || rotateEvery < 0) {
+    throw new Error('encryption.rotateEvery must be a non-negative whole number of segments');
+  }
+
+  return { method, keyUri, rotateEvery, keyStore: createKeyStore(config.keyStore) };
+};
+
+// Keys are shared across renditions: key N covers the same segments everywhere
+const createKeyRing = (assetId, keyUri) => {
+  const keys = [];
+  const get = index => {
+    while (keys.length <= index) {
+      const keyId = randomBytes(16);
+      keys.push({
+        keyId,
+        key: randomBytes(16),
+        iv: randomBytes(16),
+        uri: keyUri
+          .replace(/\{assetId\}/g, encodeURIComponent(assetId))
+          .replace(/\{keyId\}/g, hex(keyId)),
+      });
+    }
+    return keys[index];
+  };
+  return { get, keys };
+};
+
+const sequenceIv = sequence => {
+  const iv = Buffer.alloc(16);
+  iv.writeBigUInt64BE(BigInt(sequence), 8);
+  return iv;
+};
+
+const encryptSegmentAes128 = (segmentPath, key, sequence) => {
+  const cipher = createCipheriv('aes-128-cbc', key.key, sequenceIv(sequence));
+  const encrypted = Buffer.concat([cipher.update(readFileSync(segmentPath)), cipher.final()]);
+  writeFileSync(segmentPath, encrypted);
+};
+
+const keyLine = (method, key) => (method === 'AES-128'
+  ? `#EXT-X-KEY:METHOD=AES-128,URI="${key.uri}"`
+  : `#EXT-X-KEY:METHOD=SAMPLE-AES,URI="${key.uri}",KEYFORMAT="identity",IV=0x${hex(key.iv)}`);
+
+const codecFamily = initPath => {
+  const [codec = ''] = readInitSegmentCodecs(initPath);
+  if (codec.startsWith('avc')) return 'avc';
+  if (codec.startsWith('hvc') || codec.startsWith('hev')) return 'hevc';
+  if (codec.startsWith('mp4a')) return 'audio';
+  throw new Error(`SAMPLE-AES is not supported for ${codec || 'unknown'} streams`);
+};
+
+// Encrypts one rendition directory and rewrites its playlist
+const encryptRendition = (renditionDir, { method, rotateEvery }, keyRing) => {
+  const playlistPath = join(renditionDir, 'index.m3u8');
+  const lines = readFileSync(playlistPath, 'utf8').split('\n');
+  const output = [];
+
+  let mediaSequence = 0;
+  let segmentIndex = 0;
+  let currentInit = null;
+  let emittedInit = null;
+  let emittedKey = null;
+  let codec = null;
+  const protectedInits = new Set();
+  const clearInits = new Set();
+
+  lines.forEach(rawLine => {
+    const line = rawLine.trim();
+
+    if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      mediaSequence = parseInt(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length), 10);
+      output.push(line);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      currentInit = line.match(/URI="([^"]+)"/)[1];
+      clearInits.add(currentInit);
+      if (method === 'AES-128') {
+        // Keep init segments clear: no key may be in effect for an EXT-X-MAP
+        if (emittedKey !== null) output.push('#EXT-X-KEY:METHOD=NONE');
+        output.push(line);
+        if (emittedKey !== null) output.push(keyLine(method, keyRing.get(emittedKey)));
+      }
+    } else if (line && !line.startsWith('#')) {
+      const keyIndex = rotateEvery > 0 ? Math.floor(segmentIndex / rotateEvery) : 0;
+      const key = keyRing.get(keyIndex);
+
+      if (method === 'AES-128') {
+        if (keyIndex !== emittedKey) {
+          output.push(keyLine(method, key));
+          emittedKey = keyIndex;
+        }
+        encryptSegmentAes128(join(renditionDir, line), key, mediaSequence + segmentIndex);
+      } else {
+        // Each key needs an init segment carrying its key id
+        const initName = `${currentInit.replace(/\.mp4$/, '')}_k${keyIndex}.mp4`;
+        if (keyIndex !== emittedKey) {
+          output.push(keyLine(method, key));
+          emittedKey = keyIndex;
+        }
+        if (initName !== emittedInit) {
+          if (!protectedInits.has(initName)) {
+            const initPath = join(renditionDir, currentInit);
+            codec = codec || codecFamily(initPath);
+            writeFileSync(join(renditionDir, initName), protectInitSegment(readFileSync(initPath), key));
+            protectedInits.add(initName);
+          }
+          output.push(`#EXT-X-MAP:URI="${initName}"`);
+          emittedInit = initName;
+        }
+        const segmentPath = join(renditionDir, line);
+        writeFileSync(segmentPath, protectMediaSegment(readFileSync(segmentPath), { key: key.key, iv: key.iv, codec }));
+      }
+
+      output.push(line);
+      segmentIndex++;
+    } else {
+      output.push(line);
+    }
+  });
+
+  if (method === 'SAMPLE-AES') {
+    // Only the per-key copies are referenced now
+    clearInits.forEach(init => {
+      const initPath = join(renditionDir, init);
+      if (existsSync(initPath)) unlinkSync(initPath);
+    });
+  }
+
+  writeFileSync(playlistPath, output.join('\n'));
+  console.log(`Encrypted ${segmentIndex} segments of ${renditionDir} with ${method}`);
+};
+
+/**
+ * Encrypts every listed rendition under outputDir and hands the generated keys
+ * to the key store. Returns a summary for the job result.
+ */
+const encryptOutput = async (outputDir, renditionNames, encryption, assetId) => {
+  const keyRing = createKeyRing(assetId, encryption.keyUri);
+
+  renditionNames.forEach(name => encryptRendition(join(outputDir, name), encryption, keyRing));
+
+  await encryption.keyStore.putKeys(assetId, keyRing.keys);
+
+  return {
+    method: encryption.method,
+    rotateEvery: encryption.rotateEvery,
+    keyIds: keyRing.keys.map(key => hex(key.keyId)),
+  };
+};
+
+export { createKeyStore, resolveEncryption, encryptOutput };
@@ -0,0 +1,66 @@
+import { readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { parseMediaPlaylist } from './playlist.js';
+import { readBoxes, readTfhd, readTrun } from './codecs.js';
+
+// I-frame only playlists. Every segment starts on a keyframe, so each segment
+// contributes one entry: a byte range covering its moof and the first sample.
+
+const IFRAME_PLAYLIST = 'iframe.m3u8';
+
+// Length of the moof plus the first sample of the first fragment in a segment
+const keyframeByteRange = segmentPath => {
+  const buffer = readFileSync(segmentPath);
+  const moof = readBoxes(buffer, 0, buffer.length).find(candidate => candidate.type === 'moof');
+  if (!moof) {
+    throw new Error(`No moof box in ${segmentPath}`);
+  }
+  const traf = readBoxes(buffer, moof.dataStart, moof.end).find(candidate => candidate.type === 'traf');
+  const children = readBoxes(buffer, traf.dataStart, traf.end);
+  const { baseDataOffsetPosition, defaultSampleSize } = readTfhd(buffer, children.find(child => child.type === 'tfhd'));
+  const { sizes, dataOffsetPosition } = readTrun(buffer, children.find(child => child.type === 'trun'));
+
+  const base = baseDataOffsetPosition !== null ? Number(buffer.readBigUInt64BE(baseDataOffsetPosition)) : moof.start;
+  const firstSampleStart = base + (dataOffsetPosition !== null ? buffer.readInt32BE(dataOffsetPosition) : 0);
+  const firstSampleSize = sizes[0] !== null ? sizes[0] : defaultSampleSize;
+
+  return { offset: moof.start, length: firstSampleStart + firstSampleSize - moof.start };
+};
+
+/**
+ * Writes <rendition>/iframe.m3u8 for a video rendition and returns its peak
+ * bandwidth in bits per second for the EXT-X-I-FRAME-STREAM-INF tag.
+ */
+const writeIframePlaylist = (outputDir, name) => {
+  const renditionDir = join(outputDir, name);
+  const { targetDuration, segments } = parseMediaPlaylist(join(renditionDir, 'index.m3u8'));
+
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:7',
+    `#EXT-X-TARGETDURATION:${Math.ceil(targetDuration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+    '#EXT-X-I-FRAMES-ONLY',
+  ];
+
+  let peakBandwidth = 0;
+  let currentInit = null;
+  segments.forEach(segment => {
+    if (segment.init !== currentInit) {
+      lines.push(`#EXT-X-MAP:URI="${segment.init}"`);
+      currentInit = segment.init;
+    }
+    const range = keyframeByteRange(join(renditionDir, segment.uri));
+    peakBandwidth = Math.max(peakBandwidth, Math.ceil((range.length * 8) / segment.duration));
+    lines.push(`#EXTINF:${segment.duration.toFixed(6)},`, `#EXT-X-BYTERANGE:${range.length}@${range.offset}`, segment.uri);
+  });
+
+  lines.push('#EXT-X-ENDLIST');
+  writeFileSync(join(renditionDir, IFRAME_PLAYLIST), `${lines.join('\n')}\n`);
+  console.log(`I-frame playlist created at ${join(renditionDir, IFRAME_PLAYLIST)}`);
+
+  return { name, uri: `${name}/${IFRAME_PLAYLIST}`, bandwidth: peakBandwidth };
+};
+
+export { writeIframePlaylist };
@@ -0,0 +1,153 @@
+import { resolveAspect, sizeRung, sizeToSource, bitrateScale } from './aspect.js';
+import { SEGMENT_DURATION } from './encode.js';
+
+// Encoding ladder profiles.
+//
+// A ladder is a list of rungs, each describing one HLS rendition:
+//   name          output directory / playlist name
+//   height|width  target size; the other side follows the aspect mode (see aspect.js)
+//   bitrate       target video bitrate in kbps
+//   maxBitrate    VBV max rate in kbps (defaults to 1.5x bitrate)
+//   bufSize       VBV buffer in kbps (defaults to 2x maxBitrate)
+//   crf           x264 CRF
+//   preset        x264 preset
+//   fps           frame rate cap; faster sources are divided by a whole number
+//                 (60 to 30, 50 to 25) so no source frame is duplicated or dropped unevenly
+//   audioBitrate  AAC bitrate, e.g. '96k'
+//   lowMaster     include the rung in low_master.m3u8
+//   fitSource     encode at the source size and never drop the rung; height|width is then
+//                 the size its bitrate is written for
+//   codecs        extra codec families of this rung (see encoders.js), default all of the job's
+
+const PROFILES = {
+  // Keeps the rendition names the players already request; low follows the source size
+  default: [
+    { name: 'super_low', height: 480, bitrate: 1000, crf: 25, preset: 'veryfast', fps: 30, audioBitrate: '48k', lowMaster: true },
+    { name: 'lower', height: 720, bitrate: 2500, crf: 23, preset: 'veryfast', fps: 30, audioBitrate: '64k', lowMaster: true },
+    { name: 'low', height: 1080, bitrate: 5000, crf: 20, preset: 'medium', audioBitrate: '96k', fitSource: true },
+  ],
+  mobile: [
+    { name: '240p', height: 240, bitrate: 300, crf: 26, preset: 'veryfast', fps: 30, audioBitrate: '48k', lowMaster: true },
+    { name: '360p', height: 360, bitrate: 600, crf: 25, preset: 'veryfast', fps: 30, audioBitrate: '64k', lowMaster: true },
+    { name: '480p', height: 480, bitrate: 1000, crf: 24, preset: 'fast', fps: 30, audioBitrate: '64k' },
+  ],
+  standard: [
+    { name: '360p', height: 360, bitrate: 700, crf: 25, preset: 'veryfast', fps: 30, audioBitrate: '64k', lowMaster: true },
+    { name: '480p', height: 480, bitrate: 1200, crf: 24, preset: 'fast', fps: 30, audioBitrate: '64k', lowMaster: true },
+    { name: '720p', height: 720, bitrate: 2800, crf: 22, preset: 'fast', audioBitrate: '96k' },
+    { name: '1080p', height: 1080, bitrate: 5000, crf: 21, preset: 'medium', audioBitrate: '128k' },
+  ],
+  premium: [
+    { name: '480p', height: 480, bitrate: 1400, crf: 23, preset: 'medium', fps: 30, audioBitrate: '96k', lowMaster: true },
+    { name: '720p', height: 720, bitrate: 3200, crf: 21, preset: 'medium', audioBitrate: '128k', lowMaster: true },
+    { name: '1080p', height: 1080, bitrate: 6000, crf: 19, preset: 'slow', audioBitrate: '160k' },
+    { name: '1440p', height: 1440, bitrate: 10000, crf: 19, preset: 'slow', audioBitrate: '192k' },
+    { name: '2160p', height: 2160, bitrate: 16000, crf: 18, preset: 'slow', audioBitrate: '192k' },
+  ],
+};
+
+const RUNG_DEFAULTS = { crf: 23, preset: 'veryfast', audioBitrate: '96k', lowMaster: false };
+
+// A source this much faster than the cap is still kept, so a 24 cap leaves 25 and 30 fps alone
+const FPS_CAP_TOLERANCE = 1.25;
+
+// Frame rate assumed for keyframe intervals when the source does not report one
+const FALLBACK_FPS = 30;
+
+const roundFps = fps => Math.round(fps * 1000) / 1000;
+
+// Output frame rate under a cap: the source divided by the smallest whole number that fits
+const reduceFrameRate = (sourceFps, cap) => {
+  if (!cap) return null;
+  if (!sourceFps) return cap;
+  let divisor = 1;
+  while (sourceFps / divisor > cap * FPS_CAP_TOLERANCE) {
+    divisor++;
+  }
+  return divisor > 1 ? sourceFps / divisor : null;
+};
+
+const validateRung = (rung, index) => {
+  if (!rung.name || /[/\\]|\.\./.test(rung.name)) {
+    throw new Error(`Ladder rung ${index} needs a plain name`);
+  }
+  if (!rung.height && !rung.width) {
+    throw new Error(`Ladder rung ${rung.name} needs a height or width`);
+  }
+  if (!(rung.bitrate > 0)) {
+    throw new Error(`Ladder rung ${rung.name} needs a positive bitrate`);
+  }
+  if (rung.codecs !== undefined && !Array.isArray(rung.codecs)) {
+    throw new Error(`Ladder rung ${rung.name} codecs must be a list`);
+  }
+};
+
+// Accepts a profile name, an inline array of rungs or { rungs: [...] }
+const getLadderRungs = ladder => {
+  if (ladder === undefined || ladder === null) {
+    return PROFILES.default;
+  }
+  if (typeof ladder === 'string') {
+    const profile = PROFILES[ladder];
+    if (!profile) {
+      throw new Error(`Unknown ladder profile: ${ladder}`);
+    }
+    return profile;
+  }
+  const rungs = Array.isArray(ladder) ? ladder : ladder.rungs;
+  if (!Array.isArray(rungs) || rungs.length === 0) {
+    throw new Error('Inline ladder must contain at least one rung');
+  }
+  rungs.forEach(validateRung);
+  return rungs;
+};
+
+/**
+ * Resolves a ladder against the probed source. Rungs that would upscale the
+ * source are dropped; if nothing fits, the smallest rung is kept at the source
+ * size. A fitSource rung always takes the source size. Bitrates follow the real frame area, so a portrait native rendition
+ * does not spend the bitrate of a full 16:9 frame.
+ *
+ * Every rung gets its output frameRate, the fps passed to ffmpeg (null keeps
+ * the source rate) and gop, the frames in one segment of segmentDuration seconds.
+ */
+const resolveLadder = (ladder, source, aspect = resolveAspect(), segmentDuration = SEGMENT_DURATION) => {
+  const rungs = getLadderRungs(ladder)
+    .map(rung => {
+      const size = rung.fitSource ? sizeToSource(source, aspect) : sizeRung(rung, source, aspect);
+      return { ...RUNG_DEFAULTS, ...rung, ...size, nominal: rung };
+    })
+    .sort((a, b) => a.width * a.height - b.width * b.height);
+
+  let resolved = rungs.filter(rung => rung.contentWidth <= source.width && rung.contentHeight <= source.height);
+
+  if (resolved.length === 0) {
+    console.log('Every ladder rung exceeds the source resolution, keeping the smallest at source size');
+    resolved = [{ ...rungs[0], ...sizeToSource(source, aspect) }];
+  } else if (resolved.length < rungs.length) {
+    const skipped = rungs.filter(rung => !resolved.includes(rung)).map(rung => rung.name);
+    console.log(`Skipping ladder rungs above source resolution: ${skipped.join(', ')}`);
+  }
+
+  return resolved.map(({ nominal, ...rung }) => {
+    const scale = bitrateScale(nominal, rung);
+    const bitrate = Math.round(rung.bitrate * scale);
+    const maxBitrate = rung.maxBitrate ? Math.round(rung.maxBitrate * scale) : Math.round(bitrate * 1.5);
+    // Only reduce the frame rate, never raise it; variable rate sources are encoded at a constant rate
+    const reduced = reduceFrameRate(source.fps, rung.fps);
+    const fps = reduced || (source.variableFrameRate && source.fps ? roundFps(source.fps) : null);
+    const frameRate = reduced || source.fps || null;
+    return {
+      ...rung,
+      bitrate,
+      maxBitrate,
+      bufSize: rung.bufSize ? Math.round(rung.bufSize * scale) : maxBitrate * 2,
+      fps,
+      frameRate,
+      gop: Math.max(1, Math.round((frameRate || FALLBACK_FPS) * segmentDuration)),
+      segmentDuration,
+    };
+  });
+};
+
+export { PROFILES, resolveLadder };
@@ -0,0 +1,184 @@
+import { statSync, writeFileSync } from 'fs';
+import { dirname, join } from 'path';
+import { parseMediaPlaylist } from './playlist.js';
+import { readInitSegmentCodecs } from './codecs.js';
+import { AUDIO_GROUP_ID, buildAudioMediaLines } from './audio.js';
+import { SUBTITLE_GROUP_ID, buildSubtitleMediaLines } from './subtitles.js';
+import { baseRungName } from './encoders.js';
+
+// Master playlists (master.m3u8 and low_master.m3u8) written from the encoded
+// output rather than the ladder: BANDWIDTH is the peak segment bitrate and
+// AVERAGE-BANDWIDTH the bitrate over the whole rendition, both measured from
+// segment sizes and durations, and CODECS comes from the init segments.
+
+/**
+ * Measures a media playlist from its segments. Bandwidths are in bits per
+ * second; codecs is the RFC 6381 string of its track, or null.
+ */
+const measurePlaylist = playlistPath => {
+  const renditionDir = dirname(playlistPath);
+  const { targetDuration, segments } = parseMediaPlaylist(playlistPath);
+
+  let totalBytes = 0;
+  let totalDuration = 0;
+  let peak = 0;
+  segments.forEach((segment, index) => {
+    const bytes = statSync(join(renditionDir, segment.uri)).size;
+    totalBytes += bytes;
+    totalDuration += segment.duration;
+    // A short final segment says little about the peak and often overstates it
+    const isShortTail = index > 0 && index === segments.length - 1 && segment.duration < targetDuration / 2;
+    if (!isShortTail && segment.duration > 0) {
+      peak = Math.max(peak, (bytes * 8) / segment.duration);
+    }
+  });
+
+  const init = segments.length > 0 ? segments[0].init : null;
+  const [codecs = null] = init ? readInitSegmentCodecs(join(renditionDir, init)) : [];
+  const average = totalDuration > 0 ? (totalBytes * 8) / totalDuration : 0;
+
+  return {
+    // The peak can never sit below the average, whatever the skipped tail held
+    peakBandwidth: Math.ceil(Math.max(peak, average)),
+    averageBandwidth: Math.ceil(average),
+    codecs,
+  };
+};
+
+const measureRendition = (outputDir, name) => ({ name, ...measurePlaylist(join(outputDir, name, 'index.m3u8')) });
+
+/**
+ * Resolves which variants go into low_master.m3u8 (event.lowMaster, LOW_MASTER):
+ *   undefined                     rungs flagged lowMaster in the ladder
+ *   false                         no low master playlist
+ *   ['360p', '480p']              the named rungs, in every codec family
+ *   { maxResolution, maxBandwidth } rungs whose short side and measured peak stay within the limits
+ * LOW_MASTER holds 'false' or a comma separated list of rung names.
+ */
+const resolveLowMaster = config => {
+  let settings = config;
+  if (settings === undefined && process.env.LOW_MASTER) {
+    settings = process.env.LOW_MASTER === 'false'
+      ? false
+      : process.env.LOW_MASTER.split(',').map(name => name.trim()).filter(Boolean);
+  }
+
+  if (settings === false) {
+    return null;
+  }
+  if (settings === undefined || settings === null || settings === true) {
+    return variant => Boolean(variant.rung.lowMaster);
+  }
+  if (Array.isArray(settings)) {
+    return variant => settings.includes(baseRungName(variant.rung));
+  }
+  if (typeof settings === 'object') {
+    const { maxResolution, maxBandwidth } = settings;
+    if (!(maxResolution > 0) && !(maxBandwidth > 0)) {
+      throw new Error('lowMaster needs maxResolution or maxBandwidth');
+    }
+    return variant => (!maxResolution || Math.min(variant.rung.width, variant.rung.height) <= maxResolution)
+      && (!maxBandwidth || variant.peakBandwidth <= maxBandwidth);
+  }
+  throw new Error(`Invalid lowMaster setting: ${JSON.stringify(settings)}`);
+};
+
+// FRAME-RATE is a decimal with at most three fractional digits, e.g. 29.970
+const formatFrameRate = fps => (fps ? fps.toFixed(3) : null);
+
+const unique = values => [...new Set(values.filter(Boolean))];
+
+// Audio is delivered alongside every variant, so its heaviest track counts towards each one
+const measureAudioGroup = (outputDir, tracks) => {
+  const measured = tracks.map(track => measureRendition(outputDir, track.name));
+  return {
+    peakBandwidth: Math.max(0, ...measured.map(track => track.peakBandwidth)),
+    averageBandwidth: Math.max(0, ...measured.map(track => track.averageBandwidth)),
+    codecs: unique(measured.map(track => track.codecs)),
+  };
+};
+
+const buildVariantLines = (variant, { audio, subtitles }) => {
+  const { rung } = variant;
+  const codecs = variant.codecs ? [variant.codecs, ...audio.codecs] : [];
+
+  const attributes = [
+    `BANDWIDTH=${variant.peakBandwidth + audio.peakBandwidth}`,
+    `AVERAGE-BANDWIDTH=${variant.averageBandwidth + audio.averageBandwidth}`,
+  ];
+  if (codecs.length > 0) {
+    attributes.push(`CODECS="${codecs.join(',')}"`);
+  }
+  attributes.push(`RESOLUTION=${rung.width}x${rung.height}`);
+  if (rung.frameRate) {
+    attributes.push(`FRAME-RATE=${formatFrameRate(rung.frameRate)}`);
+  }
+  if (audio.tracks.length > 0) {
+    attributes.push(`AUDIO="${AUDIO_GROUP_ID}"`);
+  }
+  if (subtitles.length > 0) {
+    attributes.push(`SUBTITLES="${SUBTITLE_GROUP_ID}"`);
+  }
+
+  return [`#EXT-X-STREAM-INF:${attributes.join(',')}`, `${rung.name}/index.m3u8`];
+};
+
+const buildIframeLines = (variant, { iframes }) => {
+  const iframe = iframes[variant.rung.name];
+  if (!iframe) return [];
+  const attributes = [`BANDWIDTH=${iframe.bandwidth}`];
+  if (variant.codecs) {
+    attributes.push(`CODECS="${variant.codecs}"`);
+  }
+  attributes.push(`RESOLUTION=${variant.rung.width}x${variant.rung.height}`, `URI="${iframe.uri}"`);
+  return [`#EXT-X-I-FRAME-STREAM-INF:${attributes.join(',')}`];
+};
+
+const writeMasterPlaylist = (playlistPath, variants, media) => {
+  const lines = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:4',
+    // Every segment starts on a keyframe (hls_flags independent_segments)
+    '#EXT-X-INDEPENDENT-SEGMENTS',
+    ...buildAudioMediaLines(media.audio.tracks),
+    ...buildSubtitleMediaLines(media.subtitles),
+  ];
+
+  variants.forEach(variant => {
+    lines.push(...buildVariantLines(variant, media));
+    console.log(`Added ${variant.rung.name} ${variant.rung.width}x${variant.rung.height} at ${variant.peakBandwidth} bps peak to ${playlistPath}`);
+  });
+  variants.forEach(variant => lines.push(...buildIframeLines(variant, media)));
+
+  writeFileSync(playlistPath, lines.join('\n'));
+  console.log(`Master playlist created at ${playlistPath}`);
+};
+
+/**
+ * Measures the encoded renditions and writes master.m3u8 and, unless lowMaster
+ * is null, low_master.m3u8. Returns the measured video variants.
+ *
+ * media.audio:     { tracks } - audio renditions shared by every variant
+ * media.subtitles: subtitle tracks
+ * media.iframes:   I-frame playlists keyed by rendition name
+ * lowMaster:       variant filter from resolveLowMaster
+ */
+const writeMasterPlaylists = (outputDir, rungs, media, lowMaster) => {
+  const variants = rungs.map(rung => ({ rung, ...measureRendition(outputDir, rung.name) }));
+  const context = { ...media, audio: { tracks: media.audio.tracks, ...measureAudioGroup(outputDir, media.audio.tracks) } };
+
+  writeMasterPlaylist(join(outputDir, 'master.m3u8'), variants, context);
+
+  if (lowMaster) {
+    let lowVariants = variants.filter(lowMaster);
+    if (lowVariants.length === 0) {
+      console.log('No variant matches the low master selection, using the lowest one');
+      lowVariants = variants.slice(0, 1);
+    }
+    writeMasterPlaylist(join(outputDir, 'low_master.m3u8'), lowVariants, context);
+  }
+
+  return variants;
+};
+
+export { formatFrameRate, measurePlaylist, measureRendition, resolveLowMaster, writeMasterPlaylists };
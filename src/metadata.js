@@ -0,0 +1,71 @@
+import { extname } from 'path';
+
+// HTTP metadata of published objects, chosen from the key's extension.
+// Segments, init segments and images never change once written (every job
+// uploads into its own version prefix), so they are cached for a year as
+// immutable. Playlists and manifests get a short lifetime, and JSON state
+// objects (current.json, status.json, checkpoint.json) are revalidated on
+// every request.
+
+const CONTENT_TYPES = {
+  '.m3u8': 'application/vnd.apple.mpegurl',
+  '.mpd': 'application/dash+xml',
+  '.m4s': 'video/iso.segment',
+  '.mp4': 'video/mp4',
+  '.ts': 'video/mp2t',
+  '.aac': 'audio/aac',
+  '.vtt': 'text/vtt',
+  '.jpg': 'image/jpeg',
+  '.jpeg': 'image/jpeg',
+  '.png': 'image/png',
+  '.webp': 'image/webp',
+  '.json': 'application/json',
+};
+
+const CACHE_CLASSES = {
+  '.m3u8': 'playlists',
+  '.mpd': 'playlists',
+  '.m4s': 'segments',
+  '.mp4': 'segments',
+  '.ts': 'segments',
+  '.aac': 'segments',
+  '.vtt': 'segments',
+  '.jpg': 'segments',
+  '.jpeg': 'segments',
+  '.png': 'segments',
+  '.webp': 'segments',
+  '.json': 'state',
+};
+
+const DEFAULT_CACHE_CONTROL = {
+  segments: 'public, max-age=31536000, immutable',
+  playlists: 'public, max-age=60',
+  state: 'no-cache',
+};
+
+/**
+ * Resolves the Cache-Control policy of a storage backend from its cacheControl
+ * config, falling back to SEGMENT_CACHE_CONTROL, PLAYLIST_CACHE_CONTROL and
+ * STATE_CACHE_CONTROL. A policy set to false sends no Cache-Control header.
+ */
+const resolveCachePolicy = (config = {}) => {
+  const env = process.env;
+  const fromEnv = value => (value === 'false' ? false : value);
+  return {
+    segments: config.segments ?? fromEnv(env.SEGMENT_CACHE_CONTROL) ?? DEFAULT_CACHE_CONTROL.segments,
+    playlists: config.playlists ?? fromEnv(env.PLAYLIST_CACHE_CONTROL) ?? DEFAULT_CACHE_CONTROL.playlists,
+    state: config.state ?? fromEnv(env.STATE_CACHE_CONTROL) ?? DEFAULT_CACHE_CONTROL.state,
+  };
+};
+
+// { contentType, cacheControl } of an object; either may be undefined for unknown extensions
+const objectMetadata = (key, cachePolicy) => {
+  const extension = extname(key).toLowerCase();
+  const cacheClass = CACHE_CLASSES[extension];
+  return {
+    contentType: CONTENT_TYPES[extension],
+    cacheControl: (cacheClass && cachePolicy[cacheClass]) || undefined,
+  };
+};
+
+export { resolveCachePolicy, objectMetadata };
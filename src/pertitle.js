@@ -0,0 +1,220 @@
+import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
+import { mkdirSync, rmSync, statSync } from 'fs';
+import { join } from 'path';
+import { buildFrameFilter } from './aspect.js';
+import { buildRotationFilter } from './encode.js';
+import { runFfmpeg } from './util.js';
+
+// Per-title ladder. Before encoding, a few scenes sampled across the source are
+// trial encoded at every rung's CRF with a fast preset. The bitrate those encodes
+// take is what the rung needs for its quality target on this content, so a
+// static lecture gets far less than a sports clip of the same size. Each trial
+// encode is also scored with SSIM against the source at the top rung's size;
+// a rung that looks barely better than the rung below it is pruned.
+
+const DEFAULTS = {
+  samples: 4,
+  sampleDuration: 4,
+  // SSIM gain in dB a rung must add over the rung below it
+  minGain: 0.5,
+  // Bounds of the chosen bitrate as a share of the ladder's bitrate
+  minScale: 0.25,
+  maxScale: 1.25,
+};
+
+// Scenes the samples missed may be harder than the ones measured
+const HEADROOM = 1.15;
+
+const TRIAL_PRESET = 'veryfast';
+
+// SSIM of identical pictures is infinite in dB
+const MAX_SSIM_DB = 60;
+
+/**
+ * Resolves the per-title settings from event.perTitle (true or an object of
+ * DEFAULTS overrides) or PER_TITLE=true. Returns null when disabled.
+ */
+const resolvePerTitle = config => {
+  const settings = config ?? process.env.PER_TITLE === 'true';
+  if (!settings) {
+    return null;
+  }
+  const options = { ...DEFAULTS, ...(settings === true ? {} : settings) };
+  if (!(Number.isInteger(options.samples) && options.samples > 0) || !(options.sampleDuration > 0)) {
+    throw new Error('perTitle needs a positive number of samples and sample duration');
+  }
+  if (!(options.minScale > 0) || !(options.maxScale >= options.minScale) || !(options.minGain >= 0)) {
+    throw new Error('perTitle needs 0 < minScale <= maxScale and a minGain of at least 0');
+  }
+  return options;
+};
+
+// Sampled scenes, one in the middle of each equal slice of the source
+const planSamples = (duration, { samples, sampleDuration }) => {
+  const length = Math.min(sampleDuration, duration);
+  const count = Math.max(1, Math.min(samples, Math.floor(duration / length)));
+  const slice = duration / count;
+  return Array.from({ length: count }, (value, index) => ({
+    start: Math.round(Math.max(0, index * slice + (slice - length) / 2) * 1000) / 1000,
+    duration: length,
+  }));
+};
+
+const frameFilterOf = (rung, rotation) => [buildRotationFilter(rotation), buildFrameFilter(rung)].filter(Boolean).join(',');
+
+// Encodes one sample of the rung at its CRF; returns the size in bytes
+const trialEncode = async (inputPath, outputPath, rung, rotation, sample) => {
+  const outputOptions = [
+    '-t', `${sample.duration}`,
+    '-vf', frameFilterOf(rung, rotation),
+    '-an',
+    '-c:v', 'libx264',
+    '-preset', TRIAL_PRESET,
+    '-crf', `${rung.crf}`,
+    '-pix_fmt', 'yuv420p',
+  ];
+  if (rung.fps) {
+    outputOptions.push('-r', `${rung.fps}`);
+  }
+  await runFfmpeg(
+    ffmpeg(inputPath)
+      .inputOptions(['-noautorotate', '-ss', `${sample.start}`])
+      .outputOptions(outputOptions)
+      .output(outputPath),
+    `trial encode of ${rung.name}`,
+  );
+  return statSync(outputPath).size;
+};
+
+// SSIM in dB of a trial encode against the same source scene, both at the reference rung's size
+const scoreTrial = async (inputPath, trialPath, rung, reference, rotation, sample) => {
+  const filter = [
+    `[0:v]scale=${reference.width}:${reference.height}:flags=bicubic,setsar=1:1[distorted]`,
+    `[1:v]${frameFilterOf(reference, rotation)}[reference]`,
+    '[distorted][reference]ssim',
+  ].join(';');
+
+  const stderr = await runFfmpeg(
+    ffmpeg(trialPath)
+      .input(inputPath)
+      .inputOptions(['-noautorotate', '-ss', `${sample.start}`, '-t', `${sample.duration}`])
+      .complexFilter(filter)
+      .outputOptions(['-f', 'null'])
+      .output('-'),
+    `quality check of ${rung.name}`,
+  );
+
+  const match = stderr.match(/SSIM .*All:([\d.]+)/);
+  if (!match) {
+    throw new Error(`No SSIM reported for ${rung.name}`);
+  }
+  const ssim = parseFloat(match[1]);
+  return ssim >= 1 ? MAX_SSIM_DB : Math.min(MAX_SSIM_DB, -10 * Math.log10(1 - ssim));
+};
+
+const round = (value, digits = 0) => Math.round(value * 10 ** digits) / 10 ** digits;
+
+// Picks each rung's bitrate from its trial encodes and prunes rungs that add too little
+const chooseLadder = (measured, options) => {
+  const report = [];
+  const kept = [];
+
+  measured.forEach(({ rung, neededBitrate, ssimDb }) => {
+    const floor = Math.round(rung.bitrate * options.minScale);
+    const ceiling = Math.round(rung.bitrate * options.maxScale);
+    const wanted = Math.round(neededBitrate * HEADROOM);
+    const bitrate = Math.min(ceiling, Math.max(floor, wanted));
+    const reasons = [`needs ${Math.round(neededBitrate)} kbps at CRF ${rung.crf}`];
+    if (wanted < floor) {
+      reasons.push(`raised to ${Math.round(options.minScale * 100)}% of the ladder's ${rung.bitrate} kbps`);
+    } else if (wanted > ceiling) {
+      reasons.push(`capped at ${Math.round(options.maxScale * 100)}% of the ladder's ${rung.bitrate} kbps`);
+    } else {
+      reasons.push(`+${Math.round((HEADROOM - 1) * 100)}% headroom`);
+    }
+
+    const below = kept[kept.length - 1];
+    const gain = below ? ssimDb - below.ssimDb : null;
+    const entry = {
+      name: rung.name,
+      width: rung.width,
+      height: rung.height,
+      ladderBitrate: rung.bitrate,
+      neededBitrate: Math.round(neededBitrate),
+      bitrate,
+      ssimDb: round(ssimDb, 2),
+      kept: true,
+      reason: '',
+    };
+
+    if (below && gain < options.minGain) {
+      entry.kept = false;
+      entry.bitrate = null;
+      entry.reason = `pruned: only ${round(gain, 2)} dB SSIM above ${below.rung.name}, less than ${options.minGain} dB`;
+    } else {
+      if (below) {
+        reasons.push(`${round(gain, 2)} dB SSIM above ${below.rung.name}`);
+      }
+      entry.reason = reasons.join(', ');
+      const factor = bitrate / rung.bitrate;
+      kept.push({
+        rung: {
+          ...rung,
+          bitrate,
+          maxBitrate: Math.round(rung.maxBitrate * factor),
+          bufSize: Math.round(rung.bufSize * factor),
+        },
+        ssimDb,
+      });
+    }
+    report.push(entry);
+  });
+
+  return { rungs: kept.map(({ rung }) => rung), report };
+};
+
+/**
+ * Analyses the source and returns the per-title ladder: { rungs, analysis }.
+ * analysis records the sampled scenes and, per rung, the measured bitrate and
+ * quality, the chosen bitrate and the reason it was kept or pruned.
+ *
+ * rungs:    resolved rungs (resolveLadder), smallest first
+ * source:   probed { duration, rotation }
+ * options:  resolvePerTitle settings
+ * onProgress receives the percentage of trial encodes done
+ */
+const analyseLadder = async (inputPath, workDir, rungs, source, options, onProgress = null) => {
+  const samples = planSamples(source.duration, options);
+  const reference = rungs[rungs.length - 1];
+  const total = rungs.length * samples.length;
+  let done = 0;
+  console.log(`Analysing ${samples.length} scenes of ${samples[0].duration}s for a per-title ladder of ${rungs.length} rungs`);
+
+  mkdirSync(workDir, { recursive: true });
+  try {
+    const measured = [];
+    for (const rung of rungs) {
+      let bits = 0;
+      let seconds = 0;
+      let ssimDb = 0;
+      for (const [index, sample] of samples.entries()) {
+        const trialPath = join(workDir, `${rung.name}_${index}.mp4`);
+        bits += (await trialEncode(inputPath, trialPath, rung, source.rotation, sample)) * 8;
+        seconds += sample.duration;
+        ssimDb += await scoreTrial(inputPath, trialPath, rung, reference, source.rotation, sample);
+        rmSync(trialPath, { force: true });
+        done++;
+        if (onProgress) onProgress((done / total) * 100);
+      }
+      measured.push({ rung, neededBitrate: bits / seconds / 1000, ssimDb: ssimDb / samples.length });
+    }
+
+    const { rungs: chosen, report } = chooseLadder(measured, options);
+    report.forEach(entry => console.log(`Per-title ${entry.name}: ${entry.kept ? `${entry.bitrate} kbps` : 'pruned'} (${entry.reason})`));
+    return { rungs: chosen, analysis: { samples, rungs: report } };
+  } finally {
+    rmSync(workDir, { recursive: true, force: true });
+  }
+};
+
+export { resolvePerTitle, analyseLadder };
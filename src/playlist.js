@@ -0,0 +1,86 @@
+import { readFileSync } from 'fs';
+
+const readAttribute = (line, name) => {
+  const match = line.match(new RegExp(`${name}=("([^"]*)"|[^,]*)`));
+  if (!match) return null;
+  return match[2] !== undefined ? match[2] : match[1];
+};
+
+// Every attribute of a tag's attribute list, e.g. { BANDWIDTH: '800000', CODECS: 'avc1.64001f' }
+const parseAttributes = text => {
+  const attributes = {};
+  const pattern = /([A-Z0-9-]+)=("[^"]*"|[^,]*)/g;
+  let match;
+  while ((match = pattern.exec(text)) !== null) {
+    attributes[match[1]] = match[2].startsWith('"') ? match[2].slice(1, -1) : match[2];
+  }
+  return attributes;
+};
+
+/**
+ * Parses an HLS media playlist. Each segment records the init segment
+ * (EXT-X-MAP) that was in effect for it and its EXT-X-BYTERANGE, if any.
+ *
+ * Returns { targetDuration, mediaSequence, endList, segments: [{ duration, uri, init, byteRange }] }
+ */
+const parseMediaPlaylist = playlistPath => {
+  const lines = readFileSync(playlistPath, 'utf8').split('\n').map(line => line.trim());
+  const playlist = { targetDuration: null, mediaSequence: 0, endList: false, segments: [] };
+  let init = null;
+  let pendingDuration = null;
+  let pendingRange = null;
+  let nextOffset = 0;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-TARGETDURATION:')) {
+      playlist.targetDuration = parseFloat(line.slice('#EXT-X-TARGETDURATION:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA-SEQUENCE:')) {
+      playlist.mediaSequence = parseInt(line.slice('#EXT-X-MEDIA-SEQUENCE:'.length), 10);
+    } else if (line.startsWith('#EXT-X-MAP:')) {
+      init = readAttribute(line, 'URI');
+    } else if (line.startsWith('#EXTINF:')) {
+      pendingDuration = parseFloat(line.slice('#EXTINF:'.length));
+    } else if (line.startsWith('#EXT-X-BYTERANGE:')) {
+      // Without an offset the range continues where the previous one ended
+      const [length, offset = nextOffset] = line.slice('#EXT-X-BYTERANGE:'.length).split('@').map(Number);
+      pendingRange = { length, offset };
+      nextOffset = offset + length;
+    } else if (line === '#EXT-X-ENDLIST') {
+      playlist.endList = true;
+    } else if (line && !line.startsWith('#') && pendingDuration !== null) {
+      playlist.segments.push({ duration: pendingDuration, uri: line, init, byteRange: pendingRange });
+      pendingDuration = null;
+      pendingRange = null;
+    }
+  });
+
+  return playlist;
+};
+
+/**
+ * Parses an HLS master playlist.
+ *
+ * Returns { variants: [{ uri, attributes }], media: [attributes], iframes: [attributes] }
+ */
+const parseMasterPlaylist = playlistPath => {
+  const lines = readFileSync(playlistPath, 'utf8').split('\n').map(line => line.trim());
+  const playlist = { variants: [], media: [], iframes: [] };
+  let pendingVariant = null;
+
+  lines.forEach(line => {
+    if (line.startsWith('#EXT-X-STREAM-INF:')) {
+      pendingVariant = parseAttributes(line.slice('#EXT-X-STREAM-INF:'.length));
+    } else if (line.startsWith('#EXT-X-MEDIA:')) {
+      playlist.media.push(parseAttributes(line.slice('#EXT-X-MEDIA:'.length)));
+    } else if (line.startsWith('#EXT-X-I-FRAME-STREAM-INF:')) {
+      playlist.iframes.push(parseAttributes(line.slice('#EXT-X-I-FRAME-STREAM-INF:'.length)));
+    } else if (line && !line.startsWith('#') && pendingVariant) {
+      playlist.variants.push({ uri: line, attributes: pendingVariant });
+      pendingVariant = null;
+    }
+  });
+
+  return playlist;
+};
+
+export { readAttribute, parseAttributes, parseMediaPlaylist, parseMasterPlaylist };
@@ -0,0 +1,258 @@
+import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
+import { statSync } from 'fs';
+import { trackCommand } from './cancel.js';
+import { TEXT_SUBTITLE_CODECS } from './subtitles.js';
+
+// Source analysis. The source is probed once into a report (codecs, duration,
+// frame rate, colour metadata, streams, rotation) and checked against what the
+// pipeline can encode, so unusable input is rejected before any encoding with
+// machine-readable codes instead of failing deep inside ffmpeg.
+
+const SUPPORTED_VIDEO_CODECS = [
+  'h264', 'hevc', 'av1', 'vp8', 'vp9', 'mpeg1video', 'mpeg2video', 'mpeg4',
+  'prores', 'dnxhd', 'mjpeg', 'vc1', 'wmv3', 'theora', 'h263',
+];
+
+const HDR_TRANSFERS = ['smpte2084', 'arib-std-b67'];
+
+// Smallest frame the ladder can scale from
+const MIN_DIMENSION = 16;
+
+// avg_frame_rate differing from r_frame_rate by more than this means variable frame rate
+const VFR_TOLERANCE = 0.05;
+
+// Reasons a source is rejected or warned about; each becomes { code, message } in the response
+const ERROR_CODES = {
+  PROBE_FAILED: 'PROBE_FAILED',
+  NO_VIDEO_STREAM: 'NO_VIDEO_STREAM',
+  UNSUPPORTED_VIDEO_CODEC: 'UNSUPPORTED_VIDEO_CODEC',
+  INVALID_DIMENSIONS: 'INVALID_DIMENSIONS',
+  ZERO_DURATION: 'ZERO_DURATION',
+  TRUNCATED_SOURCE: 'TRUNCATED_SOURCE',
+  HDR_SOURCE: 'HDR_SOURCE',
+  INTERLACED_SOURCE: 'INTERLACED_SOURCE',
+  BIT_DEPTH_REDUCED: 'BIT_DEPTH_REDUCED',
+  VARIABLE_FRAME_RATE: 'VARIABLE_FRAME_RATE',
+};
+
+// Thrown when a source fails validation; carries every problem and the report
+class SourceRejectedError extends Error {
+  constructor(errors, report) {
+    super(`Source rejected: ${errors.map(error => error.message).join('; ')}`);
+    this.name = 'SourceRejectedError';
+    this.code = errors[0].code;
+    this.errors = errors;
+    this.report = report;
+  }
+}
+
+// ffprobe reports frame rates as fractions, e.g. "30000/1001"
+const parseFrameRate = rate => {
+  if (!rate) return null;
+  const [num, den = 1] = rate.split('/').map(Number);
+  return num > 0 && den > 0 ? num / den : null;
+};
+
+const bitDepthOf = stream => {
+  if (stream.bits_per_raw_sample) return parseInt(stream.bits_per_raw_sample, 10);
+  const match = (stream.pix_fmt || '').match(/p(\d{2})(le|be)?$/);
+  return match ? parseInt(match[1], 10) : 8;
+};
+
+// Clockwise rotation to apply for display, normalised to 0, 90, 180 or 270
+const normaliseRotation = degrees => (((Math.round(degrees / 90) * 90) % 360) + 360) % 360;
+
+const rotationOf = stream => {
+  if (stream.rotation !== undefined) return normaliseRotation(Number(stream.rotation) || 0);
+  // Newer ffprobe versions only report rotation through the display matrix side data,
+  // counter-clockwise and anywhere between -180 and 180
+  const matrix = (stream.side_data_list || []).find(data => data.rotation !== undefined);
+  if (matrix) return normaliseRotation(-Number(matrix.rotation) || 0);
+  return normaliseRotation(Number(stream.tags && stream.tags.rotate) || 0);
+};
+
+const ffprobeSource = inputPath => new Promise((resolve, reject) => {
+  ffmpeg.ffprobe(inputPath, (err, metadata) => {
+    if (err) {
+      console.error(`Error probing video file ${inputPath}: ${err.message}`);
+      reject(err);
+    } else {
+      resolve(metadata);
+    }
+  });
+});
+
+// Decodes one frame close to the end: a file cut short during upload probes
+// fine from its header but has nothing to decode there
+const decodesNearEnd = (inputPath, duration) => new Promise(resolve => {
+  trackCommand(ffmpeg(inputPath))
+    .inputOptions(['-ss', `${Math.max(0, duration - 2)}`])
+    .outputOptions(['-map', '0:v:0', '-frames:v', '1', '-f', 'null'])
+    .output('-')
+    .on('end', (stdout, stderr) => resolve(!/Output file is empty/i.test(stderr || '')))
+    .on('error', err => {
+      console.error(`Error decoding the end of ${inputPath}: ${err.message}`);
+      resolve(false);
+    })
+    .run();
+});
+
+const buildReport = (inputPath, metadata) => {
+  const { format, streams } = metadata;
+  const videoStream = streams.find(stream => stream.codec_type === 'video' && !(stream.disposition && stream.disposition.attached_pic));
+
+  const report = {
+    format: {
+      name: format.format_name,
+      duration: parseFloat(format.duration) || null,
+      size: parseInt(format.size, 10) || statSync(inputPath).size,
+      bitRate: parseInt(format.bit_rate, 10) || null,
+    },
+    video: null,
+    audio: streams
+      .filter(stream => stream.codec_type === 'audio')
+      .map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        channels: stream.channels,
+        sampleRate: parseInt(stream.sample_rate, 10) || null,
+        language: (stream.tags && stream.tags.language) || null,
+      })),
+    subtitles: streams
+      .filter(stream => stream.codec_type === 'subtitle')
+      .map(stream => ({
+        index: stream.index,
+        codec: stream.codec_name,
+        language: (stream.tags && stream.tags.language) || null,
+        text: TEXT_SUBTITLE_CODECS.includes(stream.codec_name),
+      })),
+    warnings: [],
+    errors: [],
+  };
+
+  if (videoStream) {
+    const rotation = rotationOf(videoStream);
+    const rotated = rotation === 90 || rotation === 270;
+    const avgFps = parseFrameRate(videoStream.avg_frame_rate);
+    const realFps = parseFrameRate(videoStream.r_frame_rate);
+    const fieldOrder = videoStream.field_order || 'unknown';
+
+    report.video = {
+      index: videoStream.index,
+      codec: videoStream.codec_name,
+      profile: videoStream.profile || null,
+      pixelFormat: videoStream.pix_fmt || null,
+      bitDepth: bitDepthOf(videoStream),
+      // Display dimensions, after applying the rotation
+      width: rotated ? videoStream.height : videoStream.width,
+      height: rotated ? videoStream.width : videoStream.height,
+      codedWidth: videoStream.width,
+      codedHeight: videoStream.height,
+      displayAspectRatio: videoStream.display_aspect_ratio || null,
+      sampleAspectRatio: videoStream.sample_aspect_ratio || null,
+      rotation,
+      fps: avgFps || realFps,
+      variableFrameRate: Boolean(avgFps && realFps && Math.abs(avgFps - realFps) / realFps > VFR_TOLERANCE),
+      interlaced: !['progressive', 'unknown'].includes(fieldOrder),
+      fieldOrder,
+      duration: parseFloat(videoStream.duration) || null,
+      color: {
+        primaries: videoStream.color_primaries || null,
+        transfer: videoStream.color_transfer || null,
+        space: videoStream.color_space || null,
+        range: videoStream.color_range || null,
+      },
+      hdr: HDR_TRANSFERS.includes(videoStream.color_transfer),
+    };
+  }
+
+  report.duration = report.format.duration || (report.video && report.video.duration) || null;
+  return report;
+};
+
+/**
+ * Probes and validates the source. Returns { report, metadata } where metadata
+ * is what the pipeline encodes from; throws SourceRejectedError when the report
+ * has errors.
+ *
+ * options.allowHdr:        encode HDR sources as SDR instead of rejecting them
+ * options.allowInterlaced: encode interlaced sources without rejecting them
+ * options.checkTruncation: decode the last seconds to detect truncated files (default true)
+ */
+const inspectSource = async (inputPath, options = {}) => {
+  const { allowHdr = false, allowInterlaced = false, checkTruncation = true } = options;
+
+  let probed;
+  try {
+    probed = await ffprobeSource(inputPath);
+  } catch (error) {
+    const report = { errors: [{ code: ERROR_CODES.PROBE_FAILED, message: `Source could not be read: ${error.message}` }], warnings: [] };
+    throw new SourceRejectedError(report.errors, report);
+  }
+
+  const report = buildReport(inputPath, probed);
+  const { video } = report;
+  const reject = (code, message) => report.errors.push({ code, message });
+  const warn = (code, message) => report.warnings.push({ code, message });
+
+  if (!video) {
+    reject(ERROR_CODES.NO_VIDEO_STREAM, 'No video stream found');
+  } else {
+    if (!SUPPORTED_VIDEO_CODECS.includes(video.codec)) {
+      reject(ERROR_CODES.UNSUPPORTED_VIDEO_CODEC, `Video codec ${video.codec} is not supported`);
+    }
+    if (!(video.width >= MIN_DIMENSION) || !(video.height >= MIN_DIMENSION)) {
+      reject(ERROR_CODES.INVALID_DIMENSIONS, `Video dimensions ${video.width}x${video.height} are too small`);
+    }
+    if (video.hdr) {
+      if (allowHdr) {
+        warn(ERROR_CODES.HDR_SOURCE, `HDR transfer ${video.color.transfer} is encoded as SDR without tone mapping`);
+      } else {
+        reject(ERROR_CODES.HDR_SOURCE, `HDR sources (${video.color.transfer}) are not supported`);
+      }
+    }
+    if (video.interlaced) {
+      if (allowInterlaced) {
+        warn(ERROR_CODES.INTERLACED_SOURCE, `Interlaced source (${video.fieldOrder}) is encoded without deinterlacing`);
+      } else {
+        reject(ERROR_CODES.INTERLACED_SOURCE, `Interlaced sources (${video.fieldOrder}) are not supported`);
+      }
+    }
+    if (video.bitDepth > 8) {
+      warn(ERROR_CODES.BIT_DEPTH_REDUCED, `${video.bitDepth}-bit video is encoded as 8-bit`);
+    }
+    if (video.variableFrameRate) {
+      warn(ERROR_CODES.VARIABLE_FRAME_RATE, `Variable frame rate source is encoded at a constant ${Math.round(video.fps * 1000) / 1000} fps`);
+    }
+  }
+
+  if (!(report.duration > 0)) {
+    reject(ERROR_CODES.ZERO_DURATION, 'Source has no duration');
+  } else if (video && report.errors.length === 0 && checkTruncation && !(await decodesNearEnd(inputPath, report.duration))) {
+    reject(ERROR_CODES.TRUNCATED_SOURCE, 'Source ends before its declared duration, it may be truncated');
+  }
+
+  report.warnings.forEach(warning => console.warn(`Source warning ${warning.code}: ${warning.message}`));
+  console.log('Source report:', JSON.stringify(report, null, 2));
+
+  if (report.errors.length > 0) {
+    throw new SourceRejectedError(report.errors, report);
+  }
+
+  return {
+    report,
+    metadata: {
+      width: video.width,
+      height: video.height,
+      displayAspectRatio: video.displayAspectRatio,
+      sampleAspectRatio: video.sampleAspectRatio,
+      rotation: video.rotation,
+      fps: video.fps,
+      variableFrameRate: video.variableFrameRate,
+      streams: probed.streams,
+      duration: report.duration,
+    },
+  };
+};
+
+export { ERROR_CODES, SourceRejectedError, parseFrameRate, inspectSource };
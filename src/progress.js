@@ -0,0 +1,287 @@
+import { appendFileSync, mkdirSync, unlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { dirname, join } from 'path';
+import { JobCancelledError, throwIfCancelled } from './cancel.js';
+
+// Structured job progress. The pipeline reports stages (download, probe,
+// edit, analyse, encode, package, validate, upload, publish) and per-rendition
+// percentages to a reporter, which keeps a status snapshot and forwards events
+// to the configured sinks:
+//   webhook - POSTs every event as JSON
+//   status  - writes the status snapshot as status.json under the output prefix
+//   file    - appends every event as a JSON line to a local file
+// An in-process listener (the job server) can receive the same events.
+// Sink failures are logged and never fail the job.
+
+const STAGES = ['download', 'probe', 'edit', 'analyse', 'encode', 'package', 'validate', 'upload', 'publish'];
+
+// Share of the overall percentage each stage accounts for
+const STAGE_WEIGHTS = { download: 5, probe: 1, edit: 5, analyse: 4, encode: 71, package: 4, validate: 1, upload: 9, publish: 1 };
+
+// Minimum seconds between two progress events for the same stage and rendition
+const DEFAULT_INTERVAL = 5;
+
+const postJson = async (url, token, body) => {
+  const response = await fetch(url, {
+    method: 'POST',
+    headers: {
+      'Content-Type': 'application/json',
+      ...(token ? { Authorization: `Bearer ${token}` } : {}),
+    },
+    body: JSON.stringify(body),
+  });
+  if (!response.ok) {
+    throw new Error(`${url} responded with HTTP ${response.status}`);
+  }
+};
+
+const createWebhookSink = ({ url, token }) => ({
+  type: 'webhook',
+  send: event => postJson(url, token, event),
+});
+
+const createStatusSink = ({ storage, key }) => ({
+  type: 'status',
+  send: async (event, status) => {
+    const statusPath = join(tmpdir(), `status-${status.jobId}.json`);
+    writeFileSync(statusPath, JSON.stringify(status, null, 2));
+    try {
+      await storage.putFile(key, statusPath);
+    } finally {
+      unlinkSync(statusPath);
+    }
+  },
+});
+
+const createFileSink = ({ path }) => {
+  mkdirSync(dirname(path), { recursive: true });
+  return {
+    type: 'file',
+    send: async event => appendFileSync(path, `${JSON.stringify(event)}\n`),
+  };
+};
+
+/**
+ * Builds one progress sink from a config object, falling back to environment variables.
+ *
+ * config.type:  'webhook', 'status' or 'file'
+ * config.url:   webhook endpoint (PROGRESS_WEBHOOK_URL)
+ * config.token: bearer token for the webhook (PROGRESS_WEBHOOK_TOKEN)
+ * config.path:  file receiving JSON lines (PROGRESS_FILE)
+ * context:      { storage, statusKey } where the status sink writes
+ */
+const createProgressSink = (config, context) => {
+  const env = process.env;
+
+  switch (config.type) {
+    case 'webhook': {
+      const url = config.url || env.PROGRESS_WEBHOOK_URL;
+      if (!url) {
+        throw new Error('Webhook progress sink requires a url');
+      }
+      return createWebhookSink({ url, token: config.token || env.PROGRESS_WEBHOOK_TOKEN });
+    }
+    case 'status':
+      return createStatusSink({ storage: context.storage, key: context.statusKey });
+    case 'file': {
+      const path = config.path || env.PROGRESS_FILE;
+      if (!path) {
+        throw new Error('File progress sink requires a path');
+      }
+      return createFileSink({ path });
+    }
+    default:
+      throw new Error(`Unknown progress sink: ${config.type}`);
+  }
+};
+
+// event.progress may be a single sink, a list of sinks or { sinks, interval };
+// PROGRESS_SINKS holds a comma separated list of sink types
+const resolveProgressConfig = config => {
+  if (Array.isArray(config)) {
+    return { sinks: config, interval: DEFAULT_INTERVAL };
+  }
+  if (config && config.type) {
+    return { sinks: [config], interval: DEFAULT_INTERVAL };
+  }
+  const envSinks = (process.env.PROGRESS_SINKS || '')
+    .split(',')
+    .map(type => type.trim())
+    .filter(Boolean)
+    .map(type => ({ type }));
+  return {
+    sinks: (config && config.sinks) || envSinks,
+    interval: (config && config.interval) ?? DEFAULT_INTERVAL,
+  };
+};
+
+/**
+ * Creates the reporter the pipeline talks to.
+ *
+ * options.jobId:     id carried by every event
+ * options.progress:  sink config, see resolveProgressConfig
+ * options.callback:  { url, token } receiving only the final event (JOB_CALLBACK_URL, JOB_CALLBACK_TOKEN)
+ * options.storage:   output storage, for the status sink
+ * options.statusKey: key of the status object
+ * options.listener:  function(event, status) called in process for every event
+ */
+const createProgressReporter = ({ jobId, progress, callback, storage, statusKey, listener = null }) => {
+  const { sinks: sinkConfigs, interval } = resolveProgressConfig(progress);
+  const sinks = sinkConfigs.map(config => createProgressSink(config, { storage, statusKey }));
+  if (listener) {
+    sinks.push({ type: 'listener', send: async (event, snapshot) => listener(event, snapshot) });
+  }
+
+  const callbackUrl = (callback && callback.url) || process.env.JOB_CALLBACK_URL;
+  const callbackSink = callbackUrl
+    ? createWebhookSink({ url: callbackUrl, token: (callback && callback.token) || process.env.JOB_CALLBACK_TOKEN })
+    : null;
+
+  const startedAt = Date.now();
+  const status = {
+    jobId,
+    state: 'running',
+    stage: null,
+    percent: 0,
+    etaSeconds: null,
+    stages: {},
+    startedAt: new Date(startedAt).toISOString(),
+    updatedAt: new Date(startedAt).toISOString(),
+  };
+
+  // Each sink delivers in order; a slow webhook never blocks the encode
+  const queues = new Map();
+  const deliver = (sink, event) => {
+    const snapshot = JSON.parse(JSON.stringify(status));
+    const previous = queues.get(sink) || Promise.resolve();
+    queues.set(sink, previous
+      .then(() => sink.send(event, snapshot))
+      .catch(error => console.warn(`Progress ${sink.type} sink failed: ${error.message}`)));
+  };
+
+  const emit = (type, fields, final = false) => {
+    status.updatedAt = new Date().toISOString();
+    const event = {
+      jobId,
+      type,
+      stage: status.stage,
+      percent: status.percent,
+      etaSeconds: status.etaSeconds,
+      timestamp: status.updatedAt,
+      ...fields,
+    };
+    sinks.forEach(sink => deliver(sink, event));
+    if (final && callbackSink) {
+      deliver(callbackSink, event);
+    }
+  };
+
+  // Seconds left in the stage, extrapolated from its progress so far
+  const stageStarts = new Map();
+  const stageEta = stage => {
+    const { percent } = status.stages[stage];
+    if (!(percent > 0) || percent >= 100) return percent >= 100 ? 0 : null;
+    const elapsed = (Date.now() - stageStarts.get(stage)) / 1000;
+    return Math.round((elapsed * (100 - percent)) / percent);
+  };
+
+  const refreshOverall = () => {
+    const total = STAGES.reduce((sum, stage) => sum + STAGE_WEIGHTS[stage], 0);
+    const done = STAGES.reduce((sum, stage) => {
+      const entry = status.stages[stage];
+      return sum + (entry ? (STAGE_WEIGHTS[stage] * entry.percent) / 100 : 0);
+    }, 0);
+    status.percent = Math.round((done / total) * 1000) / 10;
+
+    // Remaining time of the current stage plus later stages at the observed pace
+    const current = status.stage && stageEta(status.stage);
+    if (current === null || current === undefined) {
+      status.etaSeconds = null;
+    } else {
+      const elapsed = (Date.now() - startedAt) / 1000;
+      const pace = done > 0 ? elapsed / done : 0;
+      const later = STAGES.slice(STAGES.indexOf(status.stage) + 1)
+        .reduce((sum, stage) => sum + STAGE_WEIGHTS[stage], 0);
+      status.etaSeconds = Math.round(current + later * pace);
+    }
+  };
+
+  const lastEmitted = new Map();
+
+  // Starts a stage; renditions are the names whose progress is averaged into it
+  const startStage = (stage, renditions = []) => {
+    // Stage boundaries are where a cancelled job stops
+    throwIfCancelled();
+    status.stage = stage;
+    stageStarts.set(stage, Date.now());
+    status.stages[stage] = {
+      percent: 0,
+      startedAt: new Date().toISOString(),
+      renditions: Object.fromEntries(renditions.map(name => [name, 0])),
+    };
+    refreshOverall();
+    console.log(`Job ${jobId}: ${stage} started`);
+    emit('stage', { state: 'started' });
+  };
+
+  const update = (stage, rendition, percent) => {
+    const entry = status.stages[stage];
+    if (!entry || !Number.isFinite(percent)) return;
+    const clamped = Math.min(100, Math.max(0, percent));
+
+    if (rendition) {
+      entry.renditions[rendition] = clamped;
+      const values = Object.values(entry.renditions);
+      entry.percent = values.reduce((sum, value) => sum + value, 0) / values.length;
+    } else {
+      entry.percent = clamped;
+    }
+    refreshOverall();
+
+    const key = `${stage}:${rendition || ''}`;
+    const now = Date.now();
+    if (clamped < 100 && now - (lastEmitted.get(key) || 0) < interval * 1000) return;
+    lastEmitted.set(key, now);
+
+    emit('progress', {
+      stage,
+      rendition: rendition || null,
+      renditionPercent: Math.round(clamped * 10) / 10,
+      etaSeconds: stageEta(stage),
+      jobEtaSeconds: status.etaSeconds,
+    });
+  };
+
+  const endStage = stage => {
+    const entry = status.stages[stage];
+    entry.percent = 100;
+    Object.keys(entry.renditions).forEach(name => { entry.renditions[name] = 100; });
+    entry.seconds = Math.round((Date.now() - stageStarts.get(stage)) / 1000);
+    refreshOverall();
+    console.log(`Job ${jobId}: ${stage} finished in ${entry.seconds}s`);
+    emit('stage', { stage, state: 'finished' });
+  };
+
+  const complete = result => {
+    status.state = 'succeeded';
+    status.percent = 100;
+    status.etaSeconds = 0;
+    status.result = result;
+    emit('succeeded', { result }, true);
+  };
+
+  const fail = (error, result) => {
+    status.state = error instanceof JobCancelledError ? 'cancelled' : 'failed';
+    status.etaSeconds = null;
+    status.error = error.message;
+    status.result = result;
+    emit(status.state, { error: error.message, result }, true);
+  };
+
+  // Waits for every queued delivery
+  const flush = () => Promise.all([...queues.values()]);
+
+  return { jobId, startStage, update, endStage, complete, fail, flush };
+};
+
+export { createProgressReporter };
@@ -0,0 +1,202 @@
+import { existsSync, readFileSync, unlinkSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+
+// Transactional publishing of the output prefix. Every job uploads into its own
+// version prefix (<prefix>/<version>/...), where nothing is reachable yet. Once
+// every variant playlist is confirmed, the entry points (master playlists and
+// the DASH manifest) are written at the top of the prefix with their URIs
+// pointing into the version, master.m3u8 last. current.json records the
+// published version; objects of older versions are removed afterwards. A failed
+// publish puts the previous entry points back. Objects uploaded into a version
+// that was never published stay for the next run to resume, until the job's
+// checkpoint is discarded and the version is abandoned.
+
+// Entry points in publishing order: master.m3u8 switches players over, so it goes last
+const ENTRY_POINTS = ['manifest.mpd', 'low_master.m3u8', 'master.m3u8'];
+const POINTER_FILE = 'current.json';
+
+// Objects at the top of the prefix that are not part of any version
+const UNVERSIONED_FILES = [...ENTRY_POINTS, POINTER_FILE, 'status.json'];
+
+const DELETE_BATCH_SIZE = 40;
+
+const createVersionId = () => `v${new Date().toISOString().replace(/[-:.]/g, '')}`;
+
+const tempPath = name => join(tmpdir(), `publish-${process.pid}-${name}`);
+
+const isRelative = uri => !/^[a-z][a-z0-9+.-]*:/i.test(uri) && !uri.startsWith('/');
+
+// Entry point contents with every relative reference moved into the version prefix
+const pointAtVersion = (file, content, version) => {
+  if (file.endsWith('.mpd')) {
+    return content.replace(/(<MPD[^>]*>)/, `$1\n  <BaseURL>${version}/</BaseURL>`);
+  }
+  return content
+    .split('\n')
+    .map(line => {
+      if (line && !line.startsWith('#')) {
+        return isRelative(line) ? `${version}/${line}` : line;
+      }
+      return line.replace(/URI="([^"]+)"/g, (match, uri) => (isRelative(uri) ? `URI="${version}/${uri}"` : match));
+    })
+    .join('\n');
+};
+
+// Contents of a stored object, or null when there is none
+const readContent = async (storage, key) => {
+  if (!(await storage.exists(key))) {
+    return null;
+  }
+  const downloadPath = tempPath(key.replace(/[^A-Za-z0-9._-]+/g, '_'));
+  try {
+    await storage.getFile(key, downloadPath);
+    return readFileSync(downloadPath, 'utf8');
+  } finally {
+    if (existsSync(downloadPath)) unlinkSync(downloadPath);
+  }
+};
+
+// The published pointer, or null when nothing was published through versions yet
+const readPublishedState = async (storage, prefix) => {
+  const content = await readContent(storage, `${prefix}/${POINTER_FILE}`);
+  return content === null ? null : JSON.parse(content);
+};
+
+const putContent = async (storage, key, content) => {
+  const uploadPath = tempPath(key.replace(/[^A-Za-z0-9._-]+/g, '_'));
+  writeFileSync(uploadPath, content);
+  try {
+    await storage.putFile(key, uploadPath);
+  } finally {
+    unlinkSync(uploadPath);
+  }
+};
+
+// Fails unless every listed object of the version is stored
+const verifyVersion = async (storage, prefix, version, files) => {
+  const missing = [];
+  for (const file of files) {
+    if (!(await storage.exists(`${prefix}/${version}/${file}`))) {
+      missing.push(file);
+    }
+  }
+  if (missing.length > 0) {
+    throw new Error(`Version ${version} is incomplete, missing ${missing.join(', ')}`);
+  }
+  console.log(`Verified ${files.length} objects of version ${version}`);
+};
+
+/**
+ * Makes a version current: writes its entry points at the top of the prefix,
+ * then current.json. readEntryPoint(file) returns the version's own copy of
+ * an entry point, or null when the version has none.
+ */
+const writeEntryPoints = async (storage, prefix, version, readEntryPoint, versions) => {
+  for (const file of ENTRY_POINTS) {
+    const content = await readEntryPoint(file);
+    if (content !== null) {
+      await putContent(storage, `${prefix}/${file}`, pointAtVersion(file, content, version));
+    } else if (await storage.exists(`${prefix}/${file}`)) {
+      // e.g. a manifest.mpd left over from a run with DASH enabled
+      await storage.deleteObject(`${prefix}/${file}`);
+    }
+  }
+
+  const state = { version, versions, publishedAt: new Date().toISOString() };
+  await putContent(storage, `${prefix}/${POINTER_FILE}`, JSON.stringify(state, null, 2));
+  console.log(`Published version ${version} at ${storage.locate(prefix)}`);
+  return state;
+};
+
+/**
+ * Publishes the version uploaded from outputDir. keepVersions older versions
+ * stay listed in current.json (and are spared by removeStaleObjects).
+ */
+const publishVersion = (storage, prefix, version, outputDir, previous, keepVersions = 0) => {
+  const olderVersions = previous ? previous.versions.filter(name => name !== version) : [];
+  const versions = [version, ...olderVersions].slice(0, keepVersions + 1);
+
+  const readLocal = async file => {
+    const filePath = join(outputDir, file);
+    return existsSync(filePath) ? readFileSync(filePath, 'utf8') : null;
+  };
+  return writeEntryPoints(storage, prefix, version, readLocal, versions);
+};
+
+// Entry points at the top of a prefix published before versioning: { file: content or null }
+const snapshotEntryPoints = async (storage, prefix) => {
+  const snapshot = {};
+  for (const file of ENTRY_POINTS) {
+    snapshot[file] = await readContent(storage, `${prefix}/${file}`);
+  }
+  return snapshot;
+};
+
+/**
+ * Puts the previous version's entry points back after a failed publish. Without
+ * a previous version, the snapshotEntryPoints() taken before publishing is
+ * written back, so output published before versioning stays online.
+ */
+const restoreVersion = async (storage, prefix, previous, snapshot = {}) => {
+  if (!previous) {
+    for (const file of ENTRY_POINTS) {
+      if (snapshot[file] != null) {
+        await putContent(storage, `${prefix}/${file}`, snapshot[file]);
+      } else {
+        await storage.deleteObject(`${prefix}/${file}`);
+      }
+    }
+    await storage.deleteObject(`${prefix}/${POINTER_FILE}`);
+    console.log(`Restored the unversioned entry points at ${storage.locate(prefix)}`);
+    return;
+  }
+
+  const readStored = file => readContent(storage, `${prefix}/${previous.version}/${file}`);
+  await writeEntryPoints(storage, prefix, previous.version, readStored, previous.versions);
+  console.log(`Restored version ${previous.version}`);
+};
+
+const deleteKeys = async (storage, keys) => {
+  for (let i = 0; i < keys.length; i += DELETE_BATCH_SIZE) {
+    await Promise.all(keys.slice(i, i + DELETE_BATCH_SIZE).map(key => storage.deleteObject(key)));
+  }
+};
+
+// Deletes what a discarded checkpoint uploaded into a version, unless that version is published
+const removeAbandonedVersion = async (storage, prefix, { version, keys }) => {
+  const published = await readPublishedState(storage, prefix);
+  if (published && published.versions.includes(version)) {
+    return 0;
+  }
+  await deleteKeys(storage, keys);
+  console.log(`Removed ${keys.length} objects of abandoned version ${version}`);
+  return keys.length;
+};
+
+/**
+ * Removes everything under the prefix that belongs to neither a listed version
+ * nor the entry points: older versions and output of pre-versioning runs.
+ */
+const removeStaleObjects = async (storage, prefix, state) => {
+  const keep = new Set(UNVERSIONED_FILES.map(file => `${prefix}/${file}`));
+  const versionPrefixes = state.versions.map(version => `${prefix}/${version}/`);
+
+  const stale = (await storage.listKeys(prefix))
+    .filter(key => !keep.has(key) && !versionPrefixes.some(versionPrefix => key.startsWith(versionPrefix)));
+
+  await deleteKeys(storage, stale);
+  console.log(`Removed ${stale.length} stale objects from ${storage.locate(prefix)}`);
+  return stale.length;
+};
+
+export {
+  createVersionId,
+  readPublishedState,
+  verifyVersion,
+  publishVersion,
+  snapshotEntryPoints,
+  restoreVersion,
+  removeAbandonedVersion,
+  removeStaleObjects,
+};
@@ -0,0 +1,228 @@
+import { mkdirSync, readdirSync, readFileSync, renameSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { randomUUID } from 'crypto';
+import { createCancellation, runCancellable } from './cancel.js';
+
+// Persistent local job queue behind the job server. Every job is a JSON file in
+// the queue directory, so queued jobs survive a restart; jobs that were running
+// when the server stopped are queued again and resume from their checkpoints.
+// Jobs for the same s3Key never run side by side, as they publish to the same output.
+
+const STATES = ['queued', 'running', 'succeeded', 'failed', 'cancelled'];
+const FINAL_STATES = ['succeeded', 'failed', 'cancelled'];
+
+// Job ids name the job files, so they must stay inside the queue directory
+const JOB_ID_PATTERN = /^[A-Za-z0-9._-]{1,128}$/;
+
+const now = () => new Date().toISOString();
+
+/**
+ * Creates the queue and loads the jobs stored in dir.
+ *
+ * options.dir:         directory holding one <id>.json file per job
+ * options.concurrency: jobs running at the same time
+ * options.run:         async function(event, { onProgress }) returning { statusCode, body }
+ * options.expand:      function(event) returning the handler's { batch, items } for an event
+ */
+const createJobQueue = ({ dir, concurrency, run, expand }) => {
+  if (!(Number.isInteger(concurrency) && concurrency > 0)) {
+    throw new Error(`Invalid job concurrency: ${concurrency}`);
+  }
+  mkdirSync(dir, { recursive: true });
+
+  const jobs = new Map();
+  // Running job id -> { cancellation, done }
+  const running = new Map();
+  let started = false;
+  let stopping = false;
+
+  const save = job => {
+    job.updatedAt = now();
+    const jobPath = join(dir, `${job.id}.json`);
+    // Written aside and renamed, so a crash never leaves a truncated job file
+    writeFileSync(`${jobPath}.tmp`, JSON.stringify(job, null, 2));
+    renameSync(`${jobPath}.tmp`, jobPath);
+  };
+
+  readdirSync(dir)
+    .filter(file => file.endsWith('.json'))
+    .forEach(file => {
+      let job;
+      try {
+        job = JSON.parse(readFileSync(join(dir, file), 'utf8'));
+      } catch (error) {
+        console.warn(`Ignoring unreadable job file ${file}: ${error.message}`);
+        return;
+      }
+      if (job.state === 'running') {
+        console.log(`Job ${job.id} was interrupted, queueing it again`);
+        job.state = 'queued';
+        job.progress = null;
+        save(job);
+      }
+      jobs.set(job.id, job);
+    });
+
+  const finish = (job, state, result) => {
+    job.state = state;
+    job.result = result;
+    job.finishedAt = now();
+    save(job);
+    console.log(`Job ${job.id} ${state}`);
+  };
+
+  const start = job => {
+    const cancellation = createCancellation();
+    job.state = 'running';
+    job.startedAt = now();
+    job.attempts = (job.attempts || 0) + 1;
+    job.progress = null;
+    save(job);
+    console.log(`Job ${job.id} started for ${job.event.s3Key}`);
+
+    const onProgress = (event, status) => {
+      job.progress = { stage: status.stage, percent: status.percent, etaSeconds: status.etaSeconds };
+      save(job);
+    };
+
+    const done = runCancellable(cancellation, () => run(job.event, { onProgress }))
+      .then(response => {
+        const result = JSON.parse(response.body);
+        if (response.statusCode === 200) return { state: 'succeeded', result };
+        return { state: cancellation.cancelled ? 'cancelled' : 'failed', result };
+      })
+      .catch(error => ({
+        state: cancellation.cancelled ? 'cancelled' : 'failed',
+        result: { message: 'Error processing video', code: 'PROCESSING_FAILED', error: error.message },
+      }))
+      .then(({ state, result }) => {
+        running.delete(job.id);
+        // A job stopped by a shutdown stays running on disk and is queued again on the next start
+        if (stopping) return;
+        finish(job, state, result);
+        pump();
+      });
+
+    running.set(job.id, { cancellation, done });
+  };
+
+  // Starts queued jobs, oldest first, while there is capacity
+  const pump = () => {
+    if (!started || stopping) return;
+    const busyKeys = new Set([...running.keys()].map(id => jobs.get(id).event.s3Key));
+    const queued = [...jobs.values()]
+      .filter(job => job.state === 'queued')
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.sequence - b.sequence);
+
+    for (const job of queued) {
+      if (running.size >= concurrency) break;
+      if (busyKeys.has(job.event.s3Key)) continue;
+      busyKeys.add(job.event.s3Key);
+      start(job);
+    }
+  };
+
+  const enqueue = event => {
+    const job = {
+      id: event.jobId,
+      sequence: jobs.size,
+      state: 'queued',
+      event,
+      attempts: 0,
+      progress: null,
+      result: null,
+      createdAt: now(),
+      startedAt: null,
+      finishedAt: null,
+      cancelRequested: false,
+    };
+    jobs.set(job.id, job);
+    save(job);
+    console.log(`Job ${job.id} queued for ${event.s3Key}`);
+    return job;
+  };
+
+  // Queues the jobs of an event the handler takes, each item of a batch or of S3
+  // notifications as a job of its own. Nothing is queued unless every item is valid.
+  // Returns the job, or { jobs, skipped } for a batch; event.jobId becomes the job id
+  const submit = event => {
+    if (!event || typeof event !== 'object' || Array.isArray(event)) {
+      throw new Error('Job must be a JSON object');
+    }
+    if (event.jobId !== undefined && !(typeof event.jobId === 'string' && JOB_ID_PATTERN.test(event.jobId))) {
+      throw new Error('jobId must be 1 to 128 letters, digits, dots, dashes or underscores');
+    }
+    const { batch, items } = expand(event);
+    const invalid = items.find(item => item.error);
+    if (invalid) {
+      throw new Error(`Invalid entry ${invalid.source}: ${invalid.error}`);
+    }
+
+    const events = items
+      .filter(item => item.event)
+      .map(item => ({ ...item.event, jobId: item.event.jobId || randomUUID() }));
+    events.forEach(({ s3Key, jobId }) => {
+      if (!s3Key || typeof s3Key !== 'string') {
+        throw new Error('s3Key not provided');
+      }
+      if (!JOB_ID_PATTERN.test(jobId)) {
+        throw new Error(`Invalid job id: ${jobId}`);
+      }
+      if (jobs.has(jobId)) {
+        throw new Error(`Job ${jobId} already exists`);
+      }
+    });
+
+    const queued = events.map(enqueue);
+    pump();
+    if (!batch) {
+      return queued[0];
+    }
+    return { jobs: queued, skipped: items.filter(item => item.skipped) };
+  };
+
+  const get = id => jobs.get(id) || null;
+
+  const list = ({ state } = {}) => {
+    if (state && !STATES.includes(state)) {
+      throw new Error(`Unknown job state: ${state}`);
+    }
+    return [...jobs.values()]
+      .filter(job => !state || job.state === state)
+      .sort((a, b) => a.createdAt.localeCompare(b.createdAt) || a.sequence - b.sequence);
+  };
+
+  // Cancels a queued job at once; a running job has its ffmpeg processes killed
+  // and becomes cancelled when the pipeline has stopped and rolled back
+  const cancel = id => {
+    const job = jobs.get(id);
+    if (!job || FINAL_STATES.includes(job.state)) return job || null;
+
+    if (job.state === 'queued') {
+      finish(job, 'cancelled', { message: 'Job cancelled', code: 'JOB_CANCELLED' });
+    } else {
+      job.cancelRequested = true;
+      save(job);
+      running.get(id).cancellation.cancel();
+    }
+    return job;
+  };
+
+  const startQueue = () => {
+    started = true;
+    console.log(`Job queue started with ${jobs.size} jobs, running up to ${concurrency} at a time`);
+    pump();
+  };
+
+  // Kills running jobs without recording an outcome, so the next start resumes them
+  const stop = () => {
+    stopping = true;
+    const pending = [...running.values()];
+    pending.forEach(({ cancellation }) => cancellation.cancel({ shutdown: true }));
+    return Promise.all(pending.map(({ done }) => done));
+  };
+
+  return { submit, get, list, cancel, start: startQueue, stop };
+};
+
+export { STATES, FINAL_STATES, createJobQueue };
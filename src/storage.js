@@ -0,0 +1,291 @@
+import {
+  S3Client,
+  GetObjectCommand,
+  DeleteObjectCommand,
+  HeadObjectCommand,
+  ListObjectsV2Command,
+} from '@aws-sdk/client-s3';
+import { Upload } from '@aws-sdk/lib-storage';
+import {
+  existsSync,
+  mkdirSync,
+  createWriteStream,
+  createReadStream,
+  readdirSync,
+  lstatSync,
+  unlinkSync,
+  copyFileSync,
+} from 'fs';
+import { join, dirname, resolve } from 'path';
+import { resolveCachePolicy, objectMetadata } from './metadata.js';
+
+// Storage backends all expose the same primitives:
+//   getFile(key, outputPath)  - fetch an object into a local file
+//   putFile(key, filePath)    - publish a local file under key, with the content
+//                               type and cache policy of its extension
+//   deleteObject(key)         - remove a published object
+//   exists(key)               - whether an object is stored under key
+//   listKeys(prefix)          - every key under prefix/
+//   locate(key)               - human readable location, used for logging/results
+// Higher level helpers (uploadDirectory) are written against these only.
+
+const createS3Storage = ({ bucket, region, endpoint, forcePathStyle, cacheControl } = {}) => {
+  if (!bucket) {
+    throw new Error('S3 storage requires a bucket');
+  }
+
+  // Create a fresh S3 client for every operation to avoid connection reuse issues
+  const createS3Client = () => {
+    return new S3Client({
+      region,
+      endpoint,
+      forcePathStyle,
+      maxAttempts: 5
+    });
+  };
+
+  const getFile = (key, outputPath) => {
+    console.log(`Starting download from s3://${bucket}/${key} to ${outputPath}`);
+    return new Promise((resolve, reject) => {
+      const freshS3Client = createS3Client();
+
+      const params = { Bucket: bucket, Key: key };
+      const fileStream = createWriteStream(outputPath);
+
+      fileStream.on('error', err => {
+        console.error(`Error writing to file ${outputPath}: ${err.message}`);
+        reject(err);
+      });
+
+      freshS3Client.send(new GetObjectCommand(params))
+        .then(data => {
+          data.Body.pipe(fileStream)
+            .on('error', err => {
+              console.error(`Error downloading file from s3://${bucket}/${key}: ${err.message}`);
+              reject(err);
+            })
+            .on('close', () => {
+              console.log(`Successfully downloaded file to ${outputPath}`);
+              resolve();
+            });
+        })
+        .catch(err => {
+          console.error(`Error downloading file from s3://${bucket}/${key}: ${err.message}`);
+          reject(err);
+        });
+    });
+  };
+
+  const cachePolicy = resolveCachePolicy(cacheControl);
+
+  const putFile = async (key, filePath) => {
+    const freshS3Client = createS3Client();
+    const { contentType, cacheControl: objectCacheControl } = objectMetadata(key, cachePolicy);
+
+    try {
+      // Streamed from disk; large files go up in parts instead of being read into memory
+      const upload = new Upload({
+        client: freshS3Client,
+        params: {
+          Bucket: bucket,
+          Key: key,
+          Body: createReadStream(filePath),
+          ContentType: contentType,
+          CacheControl: objectCacheControl,
+        },
+      });
+
+      await upload.done();
+      console.log(`Uploaded ${filePath} to s3://${bucket}/${key}`);
+    } catch (error) {
+      console.error(`Error uploading ${filePath} to ${bucket}/${key}: ${error.message}`);
+      throw error;
+    }
+  };
+
+  const deleteObject = async key => {
+    const freshS3Client = createS3Client();
+    const command = new DeleteObjectCommand({ Bucket: bucket, Key: key });
+    await freshS3Client.send(command);
+    console.log(`Deleted s3://${bucket}/${key}`);
+  };
+
+  const exists = async key => {
+    const freshS3Client = createS3Client();
+    try {
+      await freshS3Client.send(new HeadObjectCommand({ Bucket: bucket, Key: key }));
+      return true;
+    } catch (error) {
+      if (error.name === 'NotFound' || (error.$metadata && error.$metadata.httpStatusCode === 404)) {
+        return false;
+      }
+      throw error;
+    }
+  };
+
+  const listKeys = async prefix => {
+    const freshS3Client = createS3Client();
+    const keys = [];
+    let continuationToken;
+    do {
+      const response = await freshS3Client.send(new ListObjectsV2Command({
+        Bucket: bucket,
+        Prefix: `${prefix}/`,
+        ContinuationToken: continuationToken,
+      }));
+      (response.Contents || []).forEach(object => keys.push(object.Key));
+      continuationToken = response.IsTruncated ? response.NextContinuationToken : undefined;
+    } while (continuationToken);
+    return keys;
+  };
+
+  const locate = key => `s3://${bucket}/${key}`;
+
+  return { type: 's3', bucket, getFile, putFile, deleteObject, exists, listKeys, locate };
+};
+
+const createLocalStorage = ({ root } = {}) => {
+  if (!root) {
+    throw new Error('Local storage requires a root directory');
+  }
+  const rootDir = resolve(root);
+
+  const pathFor = key => {
+    const fullPath = resolve(rootDir, key);
+    // Keys must stay inside the storage root
+    if (fullPath !== rootDir && !fullPath.startsWith(`${rootDir}/`)) {
+      throw new Error(`Key ${key} resolves outside of storage root ${rootDir}`);
+    }
+    return fullPath;
+  };
+
+  const getFile = async (key, outputPath) => {
+    const sourcePath = pathFor(key);
+    console.log(`Copying ${sourcePath} to ${outputPath}`);
+    if (!existsSync(sourcePath)) {
+      throw new Error(`File not found in local storage: ${sourcePath}`);
+    }
+    copyFileSync(sourcePath, outputPath);
+    console.log(`Successfully copied file to ${outputPath}`);
+  };
+
+  const putFile = async (key, filePath) => {
+    const targetPath = pathFor(key);
+    mkdirSync(dirname(targetPath), { recursive: true });
+    copyFileSync(filePath, targetPath);
+    console.log(`Stored ${filePath} at ${targetPath}`);
+  };
+
+  const deleteObject = async key => {
+    const targetPath = pathFor(key);
+    if (existsSync(targetPath)) {
+      unlinkSync(targetPath);
+      console.log(`Deleted ${targetPath}`);
+    }
+  };
+
+  const exists = async key => existsSync(pathFor(key));
+
+  const listKeys = async prefix => {
+    const walk = (dirPath, keyPrefix) => readdirSync(dirPath).flatMap(file => {
+      const filePath = join(dirPath, file);
+      return lstatSync(filePath).isDirectory()
+        ? walk(filePath, `${keyPrefix}/${file}`)
+        : [`${keyPrefix}/${file}`];
+    });
+    const dirPath = pathFor(prefix);
+    return existsSync(dirPath) && lstatSync(dirPath).isDirectory() ? walk(dirPath, prefix) : [];
+  };
+
+  const locate = key => pathFor(key);
+
+  return { type: 'local', root: rootDir, getFile, putFile, deleteObject, exists, listKeys, locate };
+};
+
+/**
+ * Builds a storage backend from a config object. Missing values fall back to
+ * environment variables so a bare `{ s3Key }` event keeps using MY_S3_BUCKET.
+ *
+ * config.type:           's3' (default) or 'local'
+ * config.bucket:         S3 bucket (MY_S3_BUCKET)
+ * config.region:         S3 region (S3_REGION, AWS_REGION, MY_AWS_REGION)
+ * config.endpoint:       custom S3-compatible endpoint, e.g. MinIO (S3_ENDPOINT)
+ * config.forcePathStyle: use path-style addressing (S3_FORCE_PATH_STYLE=true)
+ * config.cacheControl:   { segments, playlists, state } Cache-Control policies, see resolveCachePolicy
+ * config.root:           root directory for the local backend (LOCAL_STORAGE_ROOT)
+ */
+const createStorage = (config = {}) => {
+  const env = process.env;
+  const type = config.type || env.STORAGE_BACKEND || 's3';
+
+  switch (type) {
+    case 's3':
+      return createS3Storage({
+        bucket: config.bucket || env.MY_S3_BUCKET,
+        region: config.region || env.S3_REGION || env.AWS_REGION || env.MY_AWS_REGION,
+        endpoint: config.endpoint || env.S3_ENDPOINT || undefined,
+        forcePathStyle: config.forcePathStyle ?? env.S3_FORCE_PATH_STYLE === 'true',
+        cacheControl: config.cacheControl,
+      });
+    case 'local':
+      return createLocalStorage({ root: config.root || env.LOCAL_STORAGE_ROOT });
+    default:
+      throw new Error(`Unknown storage backend: ${type}`);
+  }
+};
+
+// Number of files in a local directory tree
+const countFiles = dirPath => readdirSync(dirPath).reduce((count, file) => {
+  const filePath = join(dirPath, file);
+  return count + (lstatSync(filePath).isDirectory() ? countFiles(filePath) : 1);
+}, 0);
+
+// Upload a local directory tree under prefix, using very small batches to prevent socket exhaustion.
+// hooks.shouldUpload(key, filePath) may skip files; hooks.onUploaded(key, filePath, skipped)
+// is called for every file once it is stored or skipped.
+const uploadDirectory = async (storage, prefix, dirPath, hooks = {}) => {
+  const { shouldUpload = null, onUploaded = null } = hooks;
+  const put = async (key, filePath) => {
+    const skipped = shouldUpload ? !(await shouldUpload(key, filePath)) : false;
+    if (!skipped) {
+      await storage.putFile(key, filePath);
+    }
+    if (onUploaded) await onUploaded(key, filePath, skipped);
+  };
+
+  if (!lstatSync(dirPath).isDirectory()) {
+    await put(prefix, dirPath);
+    return;
+  }
+
+  const files = readdirSync(dirPath);
+
+  // Process directories and m3u8 files first (they're small and critical)
+  const directories = files.filter(file => lstatSync(join(dirPath, file)).isDirectory());
+  const playlists = files.filter(file => file.endsWith('.m3u8'));
+  const segments = files.filter(file => !directories.includes(file) && !playlists.includes(file));
+
+  console.log(`Uploading directory ${dirPath} with ${directories.length} subdirs, ${playlists.length} playlists, and ${segments.length} segments`);
+
+  // First upload directories (recursive calls)
+  for (const dir of directories) {
+    await uploadDirectory(storage, `${prefix}/${dir}`, join(dirPath, dir), hooks);
+  }
+
+  // Then upload playlist files
+  for (const playlist of playlists) {
+    await put(`${prefix}/${playlist}`, join(dirPath, playlist));
+  }
+
+  // Then upload segments in very small batches to prevent socket exhaustion
+  const BATCH_SIZE = 40;
+  for (let i = 0; i < segments.length; i += BATCH_SIZE) {
+    const batch = segments.slice(i, i + BATCH_SIZE);
+    console.log(`Uploading segment batch ${Math.floor(i/BATCH_SIZE) + 1}/${Math.ceil(segments.length/BATCH_SIZE)}`);
+
+    // Process this batch concurrently
+    await Promise.all(batch.map(file => put(`${prefix}/${file}`, join(dirPath, file))));
+  }
+};
+
+export { createStorage, createS3Storage, createLocalStorage, countFiles, uploadDirectory };
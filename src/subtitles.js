@@ -0,0 +1,192 @@
+import { mkdirSync, readFileSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { formatTimestamp, parseTimestamp, slug } from './util.js';
+
+// Subtitle renditions. Embedded text streams and sidecar .srt/.vtt files are
+// converted to WebVTT, cut into segments on the same boundaries as the video
+// and referenced from the master through an EXT-X-MEDIA subtitles group.
+
+const SUBTITLE_GROUP_ID = 'subs';
+
+// Codecs ffmpeg can turn into WebVTT; bitmap subtitles (PGS, DVB, VobSub) can't be
+const TEXT_SUBTITLE_CODECS = ['subrip', 'srt', 'ass', 'ssa', 'mov_text', 'webvtt', 'text'];
+
+/**
+ * Validates the sidecar subtitle files of event.subtitles before anything is
+ * encoded: [{ key, language, name, default, forced }], keys ending in .srt or .vtt.
+ */
+const resolveSubtitleSidecars = config => {
+  const sidecars = config ?? [];
+  if (!Array.isArray(sidecars)) {
+    throw new Error('subtitles must be a list of sidecar files');
+  }
+  sidecars.forEach(sidecar => {
+    if (!sidecar || typeof sidecar.key !== 'string' || !/\.(srt|vtt)$/i.test(sidecar.key)) {
+      throw new Error(`Subtitle sidecar must be an .srt or .vtt key: ${sidecar && sidecar.key}`);
+    }
+  });
+  return sidecars;
+};
+
+/**
+ * Describes the subtitle tracks to publish: embedded text streams first, then
+ * the sidecar files listed in the event.
+ *
+ * sidecars: resolveSubtitleSidecars() list
+ */
+const getSubtitleTracks = (streams, sidecars = []) => {
+  const usedNames = new Set();
+  const usedTitles = new Set();
+
+  const makeTrack = ({ language, title, isDefault, forced, source }, position) => {
+    let name = `subs_${slug(language || position)}`;
+    for (let suffix = 2; usedNames.has(name); suffix++) {
+      name = `subs_${slug(language || position)}_${suffix}`;
+    }
+    usedNames.add(name);
+
+    // NAME must be unique within the EXT-X-MEDIA group
+    const baseTitle = title || (language ? language.toUpperCase() : `Subtitles ${position + 1}`);
+    let uniqueTitle = baseTitle;
+    for (let suffix = 2; usedTitles.has(uniqueTitle); suffix++) {
+      uniqueTitle = `${baseTitle} ${suffix}`;
+    }
+    usedTitles.add(uniqueTitle);
+
+    return { name, language, title: uniqueTitle, default: Boolean(isDefault), forced: Boolean(forced), source };
+  };
+
+  const embedded = streams.filter(stream => stream.codec_type === 'subtitle');
+  embedded
+    .filter(stream => !TEXT_SUBTITLE_CODECS.includes(stream.codec_name))
+    .forEach(stream => console.log(`Skipping bitmap subtitle stream ${stream.index} (${stream.codec_name})`));
+
+  const candidates = [
+    ...embedded
+      .filter(stream => TEXT_SUBTITLE_CODECS.includes(stream.codec_name))
+      .map(stream => {
+        const tags = stream.tags || {};
+        const disposition = stream.disposition || {};
+        return {
+          language: tags.language && tags.language !== 'und' ? tags.language : null,
+          title: tags.title,
+          isDefault: disposition.default,
+          forced: disposition.forced,
+          source: { streamIndex: stream.index },
+        };
+      }),
+    ...sidecars.map(sidecar => ({
+      language: sidecar.language || null,
+      title: sidecar.name,
+      isDefault: sidecar.default,
+      forced: sidecar.forced,
+      source: { key: sidecar.key },
+    })),
+  ];
+
+  const tracks = candidates.map(makeTrack);
+
+  // At most one track may be the default
+  const defaults = tracks.filter(track => track.default);
+  defaults.slice(1).forEach(track => { track.default = false; });
+
+  return tracks;
+};
+
+const formatCue = cue => `${formatTimestamp(cue.start)} --> ${formatTimestamp(cue.end)}${cue.settings ? ` ${cue.settings}` : ''}\n${cue.text}`;
+
+// Reads the cues of a WebVTT file; header, NOTE and STYLE blocks are dropped
+const parseWebVtt = content => {
+  const blocks = content.replace(/\r\n?/g, '\n').split(/\n{2,}/);
+  const cues = [];
+
+  blocks.forEach(block => {
+    const lines = block.split('\n').filter(line => line.length > 0);
+    const timingIndex = lines.findIndex(line => line.includes('-->'));
+    if (timingIndex === -1) {
+      return;
+    }
+    const [startText, rest] = lines[timingIndex].split('-->');
+    const [endText, ...settings] = rest.trim().split(/\s+/);
+    cues.push({
+      start: parseTimestamp(startText),
+      end: parseTimestamp(endText),
+      settings: settings.join(' '),
+      text: lines.slice(timingIndex + 1).join('\n'),
+    });
+  });
+
+  return cues;
+};
+
+/**
+ * Rewrites a WebVTT file for an edited copy of its media: cues outside the kept
+ * range start..end are dropped, the others are clipped to it and moved by
+ * offset seconds.
+ */
+const retimeWebVtt = (vttPath, { start, end, offset }) => {
+  const cues = parseWebVtt(readFileSync(vttPath, 'utf8'))
+    .filter(cue => cue.end > start && cue.start < end)
+    .map(cue => ({ ...cue, start: Math.max(cue.start, start) + offset, end: Math.min(cue.end, end) + offset }));
+  writeFileSync(vttPath, `WEBVTT\n\n${cues.map(cue => `${formatCue(cue)}\n`).join('\n')}`);
+};
+
+/**
+ * Cuts a WebVTT file into segments of segmentDuration seconds covering the
+ * whole media duration and writes outputDir/<track.name>/index.m3u8. A cue
+ * spanning a boundary is repeated in each segment it overlaps.
+ */
+const segmentWebVtt = (vttPath, outputDir, track, duration, segmentDuration) => {
+  const trackDir = join(outputDir, track.name);
+  mkdirSync(trackDir, { recursive: true });
+
+  const cues = parseWebVtt(readFileSync(vttPath, 'utf8'));
+  // Fall back to the last cue when the container doesn't report a duration
+  if (!(duration > 0)) {
+    duration = Math.max(segmentDuration, ...cues.map(cue => cue.end));
+  }
+  const segmentCount = Math.max(1, Math.ceil(duration / segmentDuration));
+  const playlist = [
+    '#EXTM3U',
+    '#EXT-X-VERSION:3',
+    `#EXT-X-TARGETDURATION:${Math.ceil(segmentDuration)}`,
+    '#EXT-X-MEDIA-SEQUENCE:0',
+    '#EXT-X-PLAYLIST-TYPE:VOD',
+  ];
+
+  for (let index = 0; index < segmentCount; index++) {
+    const start = index * segmentDuration;
+    const end = Math.min(duration, start + segmentDuration);
+    const segmentName = `segment_${String(index).padStart(3, '0')}.vtt`;
+
+    const body = cues
+      .filter(cue => cue.start < end && cue.end > start)
+      .map(formatCue);
+
+    // Cue times are media times; fMP4 media timestamps start at zero
+    const segment = ['WEBVTT', 'X-TIMESTAMP-MAP=MPEGTS:0,LOCAL:00:00:00.000', '', ...body.map(cue => `${cue}\n`)];
+    writeFileSync(join(trackDir, segmentName), `${segment.join('\n')}\n`);
+
+    playlist.push(`#EXTINF:${(end - start).toFixed(6)},`, segmentName);
+  }
+
+  playlist.push('#EXT-X-ENDLIST');
+  writeFileSync(join(trackDir, 'index.m3u8'), `${playlist.join('\n')}\n`);
+  console.log(`Segmented ${cues.length} cues into ${segmentCount} WebVTT segments at ${trackDir}`);
+};
+
+const buildSubtitleMediaLines = tracks => tracks.map(track => {
+  const attributes = [
+    'TYPE=SUBTITLES',
+    `GROUP-ID="${SUBTITLE_GROUP_ID}"`,
+    `NAME="${track.title.replace(/"/g, "'")}"`,
+    track.language ? `LANGUAGE="${track.language}"` : null,
+    `DEFAULT=${track.default ? 'YES' : 'NO'}`,
+    'AUTOSELECT=YES',
+    `FORCED=${track.forced ? 'YES' : 'NO'}`,
+    `URI="${track.name}/index.m3u8"`,
+  ].filter(Boolean);
+  return `#EXT-X-MEDIA:${attributes.join(',')}`;
+});
+
+export { SUBTITLE_GROUP_ID, TEXT_SUBTITLE_CODECS, resolveSubtitleSidecars, getSubtitleTracks, parseWebVtt, retimeWebVtt, segmentWebVtt, buildSubtitleMediaLines };
@@ -0,0 +1,108 @@
+import ffmpeg from 'fluent-ffmpeg'; // Default import for CommonJS
+import { mkdirSync, writeFileSync } from 'fs';
+import { join } from 'path';
+import { buildRotationFilter } from './encode.js';
+import { formatTimestamp, makeEven, runFfmpeg } from './util.js';
+
+// Poster frame, thumbnail sprite sheets and the WebVTT track that maps time
+// ranges to sprite tiles (#xywh media fragments), written to outputDir/thumbnails.
+
+const THUMBNAIL_DIR = 'thumbnails';
+
+const DEFAULTS = {
+  poster: true,
+  posterTime: null,
+  posterWidth: 1280,
+  sprites: true,
+  interval: 10,
+  width: 160,
+  columns: 10,
+  rows: 10,
+};
+
+// `true` enables everything with the defaults; an object overrides them
+const resolveThumbnailOptions = config => {
+  if (!config) {
+    return null;
+  }
+  const options = { ...DEFAULTS, ...(config === true ? {} : config) };
+  if (!(options.interval > 0) || !(options.width > 0) || !(options.columns > 0) || !(options.rows > 0)) {
+    throw new Error('Thumbnail interval, width, columns and rows must be positive');
+  }
+  return options;
+};
+
+const writeThumbnailVtt = (thumbnailDir, { duration, interval, width, height, columns, rows, sheets }) => {
+  const perSheet = columns * rows;
+  const count = Math.ceil(duration / interval);
+  const cues = ['WEBVTT', ''];
+
+  for (let index = 0; index < count; index++) {
+    const start = index * interval;
+    const end = Math.min(duration, start + interval);
+    const tile = index % perSheet;
+    const x = (tile % columns) * width;
+    const y = Math.floor(tile / columns) * height;
+    cues.push(`${formatTimestamp(start)} --> ${formatTimestamp(end)}`, `${sheets[Math.floor(index / perSheet)]}#xywh=${x},${y},${width},${height}`, '');
+  }
+
+  writeFileSync(join(thumbnailDir, 'thumbnails.vtt'), cues.join('\n'));
+};
+
+/**
+ * Extracts the poster and sprite sheets from the source.
+ *
+ * source:  { width, height, rotation, duration } as probed (dimensions already rotated)
+ * Returns paths relative to outputDir: { poster, sprites, vtt }
+ */
+const generateThumbnails = async (inputFilePath, outputDir, source, options) => {
+  const thumbnailDir = join(outputDir, THUMBNAIL_DIR);
+  mkdirSync(thumbnailDir, { recursive: true });
+  const rotationFilter = buildRotationFilter(source.rotation);
+  const result = { poster: null, sprites: [], vtt: null };
+
+  if (options.poster) {
+    const time = options.posterTime !== null ? options.posterTime : Math.min(source.duration * 0.1, 30);
+    const width = makeEven(Math.min(options.posterWidth, source.width));
+    const height = makeEven((width * source.height) / source.width);
+
+    await runFfmpeg(
+      ffmpeg(inputFilePath)
+        .inputOptions(['-noautorotate', '-ss', `${time}`])
+        .outputOptions(['-frames:v', '1', '-vf', [rotationFilter, `scale=${width}:${height}`].filter(Boolean).join(','), '-q:v', '2'])
+        .output(join(thumbnailDir, 'poster.jpg')),
+      'poster extraction',
+    );
+    result.poster = `${THUMBNAIL_DIR}/poster.jpg`;
+  }
+
+  if (options.sprites) {
+    const { interval, columns, rows } = options;
+    const width = makeEven(options.width);
+    const height = makeEven((width * source.height) / source.width);
+    const count = Math.ceil(source.duration / interval);
+    const sheetCount = Math.ceil(count / (columns * rows));
+
+    const filter = [rotationFilter, `fps=1/${interval}`, `scale=${width}:${height}`, `tile=${columns}x${rows}`]
+      .filter(Boolean)
+      .join(',');
+
+    await runFfmpeg(
+      ffmpeg(inputFilePath)
+        .inputOptions('-noautorotate')
+        .outputOptions(['-vf', filter, '-q:v', '4', '-frames:v', `${sheetCount}`])
+        .output(join(thumbnailDir, 'sprite_%03d.jpg')),
+      'sprite sheet extraction',
+    );
+
+    const sheets = Array.from({ length: sheetCount }, (value, index) => `sprite_${String(index + 1).padStart(3, '0')}.jpg`);
+    writeThumbnailVtt(thumbnailDir, { duration: source.duration, interval, width, height, columns, rows, sheets });
+
+    result.sprites = sheets.map(sheet => `${THUMBNAIL_DIR}/${sheet}`);
+    result.vtt = `${THUMBNAIL_DIR}/thumbnails.vtt`;
+  }
+
+  return result;
+};
+
+export { resolveThumbnailOptions, generateThumbnails };
@@ -0,0 +1,45 @@
+import { trackCommand } from './cancel.js';
+
+// Small helpers shared by the pipeline modules.
+
+// Rounds a dimension to the even size H.264 and yuv420p need, at least 2
+const makeEven = value => Math.max(2, Math.round(value / 2) * 2);
+
+// Strips anything that can't live in a directory name
+const slug = value => String(value).toLowerCase().replace(/[^a-z0-9]+/g, '_').replace(/^_+|_+$/g, '');
+
+// Seconds of an HH:MM:SS.mmm timestamp (hours and minutes optional), e.g. an ffmpeg timemark
+const parseTimestamp = value => String(value || '0')
+  .trim()
+  .split(':')
+  .reduce((total, part) => total * 60 + Number(part), 0);
+
+// WebVTT timestamp, HH:MM:SS.mmm
+const formatTimestamp = seconds => {
+  const ms = Math.round(seconds * 1000);
+  const hours = String(Math.floor(ms / 3600000)).padStart(2, '0');
+  const minutes = String(Math.floor((ms % 3600000) / 60000)).padStart(2, '0');
+  const secs = String(Math.floor((ms % 60000) / 1000)).padStart(2, '0');
+  const millis = String(ms % 1000).padStart(3, '0');
+  return `${hours}:${minutes}:${secs}.${millis}`;
+};
+
+// Runs a fluent-ffmpeg command under the job's cancellation; resolves with ffmpeg's stderr
+const runFfmpeg = (command, description) => new Promise((resolve, reject) => {
+  trackCommand(command)
+    .on('start', (commandLine) => {
+      console.log('Spawned FFmpeg with command:', commandLine);
+    })
+    .on('end', (stdout, stderr) => {
+      console.log(`Finished ${description}`);
+      resolve(stderr || '');
+    })
+    .on('error', (err, stdout, stderr) => {
+      console.error(`Error during ${description}: ${err.message}`);
+      console.error('ffmpeg stderr:', stderr);
+      reject(err);
+    })
+    .run();
+});
+
+export { makeEven, slug, parseTimestamp, formatTimestamp, runFfmpeg };
@@ -6,16 +6,23 @@ async function startup() {
             throw new Error('EVENT environment variable is required');
         }
 
-        if (!process.env.MY_S3_BUCKET) {
-            throw new Error('MY_S3_BUCKET environment variable is required');
-        }
-
-        if (!process.env.MY_AWS_REGION) {
-            throw new Error('MY_AWS_REGION environment variable is required');
+        const event = JSON.parse(process.env.EVENT);
+        const storageType = event.storage?.type || process.env.STORAGE_BACKEND || 's3';
+
+        if (storageType === 's3') {
+            // S3 notifications name their own bucket
+            if (!process.env.MY_S3_BUCKET && !event.storage?.bucket && !event.Records) {
+                throw new Error('MY_S3_BUCKET environment variable is required');
+            }
+
+            // Same lookup as createStorage: the event, S3_REGION, AWS_REGION or the legacy MY_AWS_REGION
+            const region = event.storage?.region || process.env.S3_REGION || process.env.AWS_REGION || process.env.MY_AWS_REGION;
+            if (!region) {
+                throw new Error('AWS_REGION environment variable is required');
+            }
         }
 
         console.log('Starting video processor...');
-        const event = JSON.parse(process.env.EVENT);
 
         const result = await handler(event);
 